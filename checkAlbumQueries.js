@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: './.env' });
+
+const connectDB = require('./config/db');
+const Album = require('./models/Album');
+const MediaItem = require('./models/MediaItem');
+const { listAlbumsWithDetails } = require('./utils/albumListing');
+
+const usage = 'Usage: node checkAlbumQueries.js [album count]';
+
+const DEFAULT_ALBUM_COUNT = 25;
+
+// Albums with a few photos and a note each, for a trip ID nothing else uses
+const createAlbums = async (tripId, count) => {
+  const albums = await Album.insertMany(Array.from({ length: count }, (_, index) => ({
+    name: `Query check ${index + 1}`,
+    tripId,
+    sortOrder: index
+  })));
+
+  await MediaItem.insertMany(albums.flatMap(album => [
+    { albumId: album._id, type: 'photo', content: `https://example.com/${album._id}-1.jpg` },
+    { albumId: album._id, type: 'photo', content: `https://example.com/${album._id}-2.jpg` },
+    { albumId: album._id, type: 'note', content: 'Query check' }
+  ]));
+
+  return albums;
+};
+
+// Queries sent to MongoDB while listing a trip's albums
+const countQueries = async (tripId) => {
+  const queries = [];
+  mongoose.set('debug', (collectionName, method) => queries.push(`${collectionName}.${method}`));
+  try {
+    const albums = await listAlbumsWithDetails({ tripId });
+    return { albums, queries };
+  } finally {
+    mongoose.set('debug', false);
+  }
+};
+
+// Check that listing albums with their counts and covers takes the same
+// number of queries however many albums a trip has. Writes a few throwaway
+// albums and media items to the configured database and removes them again.
+const checkAlbumQueries = async () => {
+  const args = process.argv.slice(2);
+  const albumCount = args.length > 0 ? Number(args[0]) : DEFAULT_ALBUM_COUNT;
+
+  if (args.length > 1 || !Number.isInteger(albumCount) || albumCount < 2) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  const tripIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+  try {
+    await connectDB();
+
+    let failed = false;
+    try {
+      await createAlbums(tripIds[0], 1);
+      await createAlbums(tripIds[1], albumCount);
+
+      const single = await countQueries(tripIds[0]);
+      const many = await countQueries(tripIds[1]);
+
+      console.log(`1 album: ${single.queries.length} queries (${single.queries.join(', ')})`);
+      console.log(`${albumCount} albums: ${many.queries.length} queries (${many.queries.join(', ')})`);
+
+      const listed = [single, many].every(({ albums }) =>
+        albums.every(album => album.photoCount === 2 && album.noteCount === 1 && album.coverImage));
+      if (single.albums.length !== 1 || many.albums.length !== albumCount || !listed) {
+        console.error('Albums were not listed with their counts and covers');
+        failed = true;
+      }
+      if (many.queries.length !== single.queries.length) {
+        console.error('Query count grows with the number of albums');
+        failed = true;
+      }
+    } finally {
+      const albumIds = await Album.find({ tripId: { $in: tripIds } }).distinct('_id');
+      await MediaItem.deleteMany({ albumId: { $in: albumIds } });
+      await Album.deleteMany({ tripId: { $in: tripIds } });
+    }
+
+    console.log(failed ? 'Album listing query check failed' : 'Album listing query count is constant');
+    process.exitCode = failed ? 1 : 0;
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error checking album queries:', error);
+    process.exit(1);
+  }
+};
+
+// Run the check
+checkAlbumQueries();
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: './.env' });
+
+const connectDB = require('./config/db');
+const Trip = require('./models/Trip');
+const User = require('./models/User');
+
+const usage = 'Usage: node claimTrips.js <email> [--dry-run]';
+
+// Give trips created before accounts existed an owner, so they show up in
+// that user's trip list again. Matches trips with a missing or null ownerId.
+const claimTrips = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const emails = args.filter(arg => arg !== '--dry-run');
+
+  if (emails.length !== 1 || emails[0].startsWith('--')) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const owner = await User.findOne({ email: emails[0].toLowerCase() });
+    if (!owner) {
+      console.error(`No user found with email ${emails[0]}`);
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+
+    const filter = { ownerId: null };
+    const trips = await Trip.find(filter).select('tripName').sort({ _id: 1 });
+    trips.forEach(trip => console.log(`${dryRun ? 'Would claim' : 'Claiming'} ${trip.tripName} (${trip._id})`));
+
+    let claimed = trips.length;
+    if (!dryRun && trips.length > 0) {
+      // Only the listed trips, in case one was claimed since
+      const result = await Trip.updateMany(
+        { ...filter, _id: { $in: trips.map(trip => trip._id) } },
+        { $set: { ownerId: owner._id } }
+      );
+      claimed = result.modifiedCount;
+    }
+
+    console.log(`${dryRun ? 'Dry run: ' : ''}${claimed} trips ${dryRun ? 'would be' : 'were'} assigned to ${owner.email}`);
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error claiming trips:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+claimTrips();
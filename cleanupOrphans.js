@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: './.env' });
+
+const connectDB = require('./config/db');
+const { findOrphans, purgeOrphans } = require('./utils/cleanup');
+
+const usage = 'Usage: node cleanupOrphans.js [--purge] [--min-file-age-hours <hours>]';
+
+// Report, and optionally purge, orphaned files, albums, media and references
+const cleanupOrphans = async () => {
+  const args = process.argv.slice(2);
+  const purge = args.includes('--purge');
+  const ageIndex = args.indexOf('--min-file-age-hours');
+  const minFileAgeHours = ageIndex !== -1 ? Number(args[ageIndex + 1]) : 24;
+
+  if (!Number.isFinite(minFileAgeHours) || minFileAgeHours < 0) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const report = await findOrphans({ minFileAgeMs: minFileAgeHours * 60 * 60 * 1000 });
+
+    console.log(`Unreferenced files: ${report.files.length}`);
+    console.log(`Albums for deleted trips: ${report.albums.length}`);
+    console.log(`Media items for deleted albums: ${report.mediaItems.length}`);
+    console.log(`Dangling defaultAlbumId references: ${report.defaultAlbums.length}`);
+    console.log(`Dangling coverImageId references: ${report.coverImages.length}`);
+
+    if (purge) {
+      const purged = await purgeOrphans(report);
+      console.log('Purged:', JSON.stringify(purged));
+    } else {
+      console.log('Run with --purge to remove them.');
+    }
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error cleaning up orphans:', error);
+    process.exit(1);
+  }
+};
+
+// Run the cleanup
+cleanupOrphans();
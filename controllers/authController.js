@@ -0,0 +1,84 @@
+const User = require('../models/User');
+const { generateToken } = require('../utils/token');
+
+const EMAIL_TAKEN = 'An account with this email already exists';
+
+// Credentials from a JSON body can be any type; only strings are usable
+const isNonEmptyString = (value) => typeof value === 'string' && value !== '';
+
+// @desc    Register a new user
+// @route   POST /api/auth/signup
+// @access  Public
+const signup = async (req, res) => {
+  try {
+    const { name, email, password } = req.body || {};
+
+    // Basic validation
+    if (!isNonEmptyString(name) || !isNonEmptyString(email) || !isNonEmptyString(password)) {
+      return res.status(400).json({ message: 'Please provide name, email and password' });
+    }
+
+    const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
+    if (existingUser) {
+      return res.status(400).json({ message: EMAIL_TAKEN });
+    }
+
+    const user = await new User({ name, email, password }).save();
+
+    res.status(201).json({
+      user,
+      token: generateToken(user._id)
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    // Another signup with the same email got in between the check and the save
+    if (error.code === 11000) {
+      return res.status(400).json({ message: EMAIL_TAKEN });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Log in and receive a token
+// @route   POST /api/auth/login
+// @access  Public
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!isNonEmptyString(email) || !isNonEmptyString(password)) {
+      return res.status(400).json({ message: 'Please provide email and password' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+
+    if (!user || !(await user.matchPassword(password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    res.json({
+      user,
+      token: generateToken(user._id)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the authenticated user
+// @route   GET /api/auth/me
+// @access  Private
+const getMe = async (req, res) => {
+  res.json(req.user);
+};
+
+module.exports = {
+  signup,
+  login,
+  getMe
+};
@@ -0,0 +1,199 @@
+const Expense = require('../models/Expense');
+const { findTripWithAccess } = require('../utils/tripAccess');
+const { hasRate, getExchangeRates } = require('../utils/currency');
+const { buildExpenseSummary } = require('../utils/expenseSummary');
+
+const EDITABLE_FIELDS = ['description', 'amount', 'currency', 'category', 'payer', 'date', 'notes', 'relatedItem'];
+
+const handleError = (error, res) => {
+  console.error(error);
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: 'Trip or expense not found' });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({ message: messages.join(', ') });
+  }
+  res.status(500).json({ message: 'Server error' });
+};
+
+// Check the parts of an expense that depend on the trip and the rate table.
+// Returns an error message, or null if the expense is fine.
+const checkExpense = (trip, expense) => {
+  const { type, itemId } = expense.relatedItem || {};
+
+  if (type === 'segment' && !trip.segments.id(itemId)) {
+    return 'Segment not found in this trip';
+  }
+  if (type === 'stay' && !trip.stays.id(itemId)) {
+    return 'Stay not found in this trip';
+  }
+  if (expense.currency && !hasRate(expense.currency)) {
+    return `No exchange rate for ${expense.currency}`;
+  }
+  return null;
+};
+
+// @desc    Get a trip's expenses (?category, ?itemType, ?itemId filter them)
+// @route   GET /api/trips/:id/expenses
+// @access  Private (viewer)
+const getExpenses = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const filter = { tripId: trip._id };
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.itemType) filter['relatedItem.type'] = req.query.itemType;
+    if (req.query.itemId) filter['relatedItem.itemId'] = req.query.itemId;
+
+    const expenses = await Expense.find(filter).sort({ date: 1, createdAt: 1 });
+    res.json(expenses);
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// @desc    Get expense totals by category, item and day, with budget status.
+//          ?currency picks the home currency; it defaults to the budget's
+//          currency, then to the exchange-rate table's base currency.
+// @route   GET /api/trips/:id/expenses/summary
+// @access  Private (viewer)
+const getExpenseSummary = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const currency = String(
+      req.query.currency || (trip.budget && trip.budget.currency) || getExchangeRates().base
+    ).toUpperCase();
+
+    if (!hasRate(currency)) {
+      return res.status(400).json({ message: `No exchange rate for ${currency}` });
+    }
+
+    const expenses = await Expense.find({ tripId: trip._id });
+    res.json(buildExpenseSummary(trip, expenses, currency));
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// @desc    Add an expense to a trip
+// @route   POST /api/trips/:id/expenses
+// @access  Private (contributor)
+const createExpense = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'contributor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const body = req.body || {};
+    const expense = new Expense({ tripId: trip._id, createdBy: req.user && req.user._id });
+    EDITABLE_FIELDS.forEach(key => {
+      if (body[key] !== undefined) expense.set(key, body[key]);
+    });
+
+    const message = checkExpense(trip, expense);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    const createdExpense = await expense.save();
+    res.status(201).json(createdExpense);
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// Load an expense that belongs to the trip in the URL
+const findTripExpense = (trip, expenseId) => Expense.findOne({ _id: expenseId, tripId: trip._id });
+
+// @desc    Get a single expense
+// @route   GET /api/trips/:id/expenses/:expenseId
+// @access  Private (viewer)
+const getExpenseById = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const expense = await findTripExpense(trip, req.params.expenseId);
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    res.json(expense);
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// @desc    Update an expense
+// @route   PUT /api/trips/:id/expenses/:expenseId
+// @access  Private (editor)
+const updateExpense = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const expense = await findTripExpense(trip, req.params.expenseId);
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    const body = req.body || {};
+    EDITABLE_FIELDS.forEach(key => {
+      if (body[key] !== undefined) expense.set(key, body[key]);
+    });
+
+    const message = checkExpense(trip, expense);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    const updatedExpense = await expense.save();
+    res.json(updatedExpense);
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// @desc    Delete an expense
+// @route   DELETE /api/trips/:id/expenses/:expenseId
+// @access  Private (editor)
+const deleteExpense = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const expense = await findTripExpense(trip, req.params.expenseId);
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    await expense.deleteOne();
+    res.json({ message: 'Expense removed' });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+module.exports = {
+  getExpenses,
+  getExpenseSummary,
+  getExpenseById,
+  createExpense,
+  updateExpense,
+  deleteExpense
+};
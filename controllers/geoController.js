@@ -0,0 +1,110 @@
+const { getAccessibleTripIds } = require('../utils/tripAccess');
+const { isValidLatLng } = require('../utils/geo');
+const { findStaysNear, findTripsInBox, findPhotosNear } = require('../utils/geoQueries');
+
+const MAX_RADIUS_KM = 20000;
+const MAX_PHOTO_LIMIT = 200;
+
+// Read ?lat, ?lng and ?radiusKm. Returns { point, radiusKm } or { error }.
+const parseNearQuery = (query, defaultRadiusKm) => {
+  const point = [parseFloat(query.lat), parseFloat(query.lng)];
+  if (!isValidLatLng(point)) {
+    return { error: 'Please provide a valid lat and lng' };
+  }
+
+  const radiusKm = query.radiusKm === undefined ? defaultRadiusKm : parseFloat(query.radiusKm);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    return { error: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` };
+  }
+
+  return { point, radiusKm };
+};
+
+// Read ?bbox=minLng,minLat,maxLng,maxLat (GeoJSON bbox order). Returns { box } or { error }.
+const parseBoundingBox = (value) => {
+  const parts = String(value || '').split(',').map(parseFloat);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    return { error: 'Please provide bbox=minLng,minLat,maxLng,maxLat' };
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (!isValidLatLng([minLat, minLng]) || !isValidLatLng([maxLat, maxLng]) || minLat >= maxLat) {
+    return { error: 'bbox corners must be valid coordinates with minLat below maxLat' };
+  }
+
+  // A box crossing the antimeridian has minLng > maxLng
+  const lngSpan = minLng <= maxLng ? maxLng - minLng : 360 - minLng + maxLng;
+  if (lngSpan >= 180) {
+    return { error: 'bbox must span less than 180 degrees of longitude' };
+  }
+
+  return { box: { minLng, minLat, maxLng, maxLat } };
+};
+
+// @desc    Get stays within radiusKm (default 25) of a point across all trips
+// @route   GET /api/geo/stays/near?lat=&lng=&radiusKm=
+// @access  Private
+const getStaysNear = async (req, res) => {
+  try {
+    const { point, radiusKm, error } = parseNearQuery(req.query, 25);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const tripIds = await getAccessibleTripIds(req.user);
+    const stays = await findStaysNear(tripIds, point, radiusKm);
+
+    res.json({ center: point, radiusKm, count: stays.length, stays });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get trips with a stay or segment endpoint inside a bounding box
+// @route   GET /api/geo/trips/within?bbox=minLng,minLat,maxLng,maxLat
+// @access  Private
+const getTripsWithin = async (req, res) => {
+  try {
+    const { box, error } = parseBoundingBox(req.query.bbox);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const tripIds = await getAccessibleTripIds(req.user);
+    const trips = await findTripsInBox(tripIds, box);
+
+    res.json({ bbox: [box.minLng, box.minLat, box.maxLng, box.maxLat], count: trips.length, trips });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get geotagged photos within radiusKm (default 1) of a point, nearest first
+// @route   GET /api/geo/photos/near?lat=&lng=&radiusKm=&limit=
+// @access  Private
+const getPhotosNear = async (req, res) => {
+  try {
+    const { point, radiusKm, error } = parseNearQuery(req.query, 1);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PHOTO_LIMIT);
+
+    const tripIds = await getAccessibleTripIds(req.user);
+    const photos = await findPhotosNear(tripIds, point, radiusKm, limit);
+
+    res.json({ center: point, radiusKm, count: photos.length, photos });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getStaysNear,
+  getTripsWithin,
+  getPhotosNear
+};
@@ -0,0 +1,189 @@
+const Album = require('../models/Album');
+const Expense = require('../models/Expense');
+const { findTripWithAccess } = require('../utils/tripAccess');
+const { deleteAlbums } = require('../utils/cleanup');
+
+// Single segment and stay edits. Subdocuments are modified in place so their
+// _ids, which albums reference via relatedItem.itemId, never change. Saving
+// the trip recomputes startDate, endDate and dateRange in the pre-save hook.
+
+const ITEM_TYPES = {
+  segment: {
+    field: 'segments',
+    editableFields: [
+      'date', 'departureTime', 'departureTimeZone', 'arrivalTime', 'arrivalTimeZone',
+      'type', 'transport', 'origin', 'destination', 'notes'
+    ]
+  },
+  stay: {
+    field: 'stays',
+    editableFields: [
+      'location', 'coordinates', 'dateStart', 'dateEnd', 'checkIn', 'checkOut', 'timeZone',
+      'notes', 'amenities'
+    ]
+  }
+};
+
+const tripDates = (trip) => ({
+  startDate: trip.startDate,
+  endDate: trip.endDate,
+  dateRange: trip.dateRange
+});
+
+const handleError = (error, res, itemType) => {
+  console.error(error);
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: `Trip or ${itemType} not found` });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({ message: messages.join(', ') });
+  }
+  // Another request changed the array since this one loaded the trip
+  if (error.name === 'VersionError') {
+    return res.status(409).json({ message: 'Trip was modified by another request. Please retry.' });
+  }
+  res.status(500).json({ message: 'Server error' });
+};
+
+// @desc    Add a segment or stay to a trip
+// @route   POST /api/trips/:id/segments, POST /api/trips/:id/stays
+// @access  Private (owner)
+const addItem = (itemType) => async (req, res) => {
+  try {
+    const { field, editableFields } = ITEM_TYPES[itemType];
+    const body = req.body || {};
+
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const itemData = {};
+    editableFields.forEach(key => {
+      if (body[key] !== undefined) itemData[key] = body[key];
+    });
+
+    // Insert at the requested position, or append
+    const { position } = body;
+    const index = Number.isInteger(position) && position >= 0 && position <= trip[field].length
+      ? position
+      : trip[field].length;
+    trip[field].splice(index, 0, itemData);
+
+    await trip.save();
+
+    res.status(201).json({
+      [itemType]: trip[field][index],
+      trip: tripDates(trip)
+    });
+  } catch (error) {
+    handleError(error, res, itemType);
+  }
+};
+
+// @desc    Update a single segment or stay in place
+// @route   PUT /api/trips/:id/segments/:itemId, PUT /api/trips/:id/stays/:itemId
+// @access  Private (owner)
+const updateItem = (itemType) => async (req, res) => {
+  try {
+    const { field, editableFields } = ITEM_TYPES[itemType];
+    const body = req.body || {};
+
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const item = trip[field].id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: `${itemType} not found` });
+    }
+
+    // Only the fields sent are changed
+    editableFields.forEach(key => {
+      if (body[key] !== undefined) item.set(key, body[key]);
+    });
+
+    await trip.save();
+
+    res.json({
+      [itemType]: item,
+      trip: tripDates(trip)
+    });
+  } catch (error) {
+    handleError(error, res, itemType);
+  }
+};
+
+// @desc    Delete a segment or stay. Its albums are moved to the trip level
+//          (?albums=reassign, the default) or deleted with their media (?albums=cascade).
+//          Its expenses always move to the trip level.
+// @route   DELETE /api/trips/:id/segments/:itemId, DELETE /api/trips/:id/stays/:itemId
+// @access  Private (owner)
+const deleteItem = (itemType) => async (req, res) => {
+  try {
+    const { field } = ITEM_TYPES[itemType];
+    const albumMode = req.query.albums || 'reassign';
+
+    if (albumMode !== 'reassign' && albumMode !== 'cascade') {
+      return res.status(400).json({ message: 'albums must be "reassign" or "cascade"' });
+    }
+
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const item = trip[field].id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: `${itemType} not found` });
+    }
+
+    item.deleteOne();
+    await trip.save();
+
+    const albumFilter = {
+      tripId: trip._id,
+      'relatedItem.type': itemType,
+      'relatedItem.itemId': item._id
+    };
+
+    let albumsAffected;
+    if (albumMode === 'cascade') {
+      const deleted = await deleteAlbums(albumFilter);
+      albumsAffected = deleted.albums;
+    } else {
+      // Trip-level albums have no item and are never an item's default
+      const result = await Album.updateMany(albumFilter, {
+        $set: { 'relatedItem.type': 'trip', isDefault: false, lastUpdated: new Date() },
+        $unset: { 'relatedItem.itemId': 1 }
+      });
+      albumsAffected = result.modifiedCount;
+    }
+
+    // Money spent still counts towards the trip, so expenses always move up
+    const expenses = await Expense.updateMany(
+      { tripId: trip._id, 'relatedItem.type': itemType, 'relatedItem.itemId': item._id },
+      { $set: { 'relatedItem.type': 'trip' }, $unset: { 'relatedItem.itemId': 1 } }
+    );
+
+    res.json({
+      message: `${itemType} removed`,
+      expensesReassigned: expenses.modifiedCount,
+      albums: albumMode === 'cascade' ? { deleted: albumsAffected } : { reassigned: albumsAffected },
+      trip: tripDates(trip)
+    });
+  } catch (error) {
+    handleError(error, res, itemType);
+  }
+};
+
+module.exports = {
+  addSegment: addItem('segment'),
+  updateSegment: updateItem('segment'),
+  deleteSegment: deleteItem('segment'),
+  addStay: addItem('stay'),
+  updateStay: updateItem('stay'),
+  deleteStay: deleteItem('stay')
+};
@@ -0,0 +1,55 @@
+const { findOrphans, purgeOrphans } = require('../utils/cleanup');
+
+// Uploads younger than minFileAgeHours are left alone; defaults to 24
+const getMinFileAgeMs = (req) => {
+  const hours = Number(req.query.minFileAgeHours);
+  return Number.isFinite(hours) && hours >= 0 ? hours * 60 * 60 * 1000 : undefined;
+};
+
+const summarize = (report) => ({
+  files: report.files.length,
+  albums: report.albums.length,
+  mediaItems: report.mediaItems.length,
+  defaultAlbums: report.defaultAlbums.length,
+  coverImages: report.coverImages.length
+});
+
+// @desc    Report orphaned files, albums, media and dangling references
+// @route   GET /api/maintenance/orphans
+// @access  Private (admin)
+const getOrphans = async (req, res) => {
+  try {
+    const report = await findOrphans({ minFileAgeMs: getMinFileAgeMs(req) });
+
+    res.json({
+      summary: summarize(report),
+      orphans: report
+    });
+  } catch (error) {
+    console.error('Error scanning for orphans:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Purge orphaned files, albums, media and dangling references
+// @route   POST /api/maintenance/orphans/purge
+// @access  Private (admin)
+const purgeOrphanedData = async (req, res) => {
+  try {
+    const report = await findOrphans({ minFileAgeMs: getMinFileAgeMs(req) });
+    const purged = await purgeOrphans(report);
+
+    res.json({
+      message: 'Orphaned data purged',
+      purged
+    });
+  } catch (error) {
+    console.error('Error purging orphans:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getOrphans,
+  purgeOrphanedData
+};
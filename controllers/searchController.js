@@ -0,0 +1,46 @@
+const { getAccessibleTripIds } = require('../utils/tripAccess');
+const { SEARCH_TYPES, search } = require('../utils/search');
+
+const MAX_LIMIT = 50;
+
+// @desc    Search trips, segments, stays, albums, notes and photo captions.
+//          ?types=album,note limits hit types; ?limit caps the results (max 50).
+// @route   GET /api/search?q=
+// @access  Private
+const searchAll = async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+
+    if (!query) {
+      return res.status(400).json({ message: 'Please provide a search query (q)' });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+      : SEARCH_TYPES;
+    const unknownTypes = types.filter(type => !SEARCH_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        message: `Unknown search types: ${unknownTypes.join(', ')}. Use ${SEARCH_TYPES.join(', ')}`
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LIMIT);
+
+    const tripIds = await getAccessibleTripIds(req.user);
+    const results = await search(query, tripIds, { types, limit });
+
+    res.json({
+      query,
+      count: results.length,
+      results
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  searchAll
+};
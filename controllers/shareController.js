@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { findTripWithAccess, hashShareToken } = require('../utils/tripAccess');
+
+const COLLABORATOR_ROLES = ['viewer', 'contributor', 'editor'];
+
+// @desc    List a trip's share links
+// @route   GET /api/trips/:id/share
+// @access  Private (owner)
+const getShareLinks = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json(trip.shareLinks);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Create a read-only share link for a trip
+// @route   POST /api/trips/:id/share
+// @access  Private (owner)
+const createShareLink = async (req, res) => {
+  try {
+    const { label, expiresAt } = req.body || {};
+
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry) || expiry <= new Date()) {
+        return res.status(400).json({ message: 'expiresAt must be a date in the future' });
+      }
+    }
+
+    // The token is only returned here; the trip stores its hash
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    trip.shareLinks.push({
+      tokenHash: hashShareToken(token),
+      label,
+      expiresAt: expiry
+    });
+    await trip.save();
+
+    const shareLink = trip.shareLinks[trip.shareLinks.length - 1];
+
+    res.status(201).json({
+      ...shareLink.toJSON(),
+      token
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Revoke a share link
+// @route   DELETE /api/trips/:id/share/:linkId
+// @access  Private (owner)
+const revokeShareLink = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const shareLink = trip.shareLinks.id(req.params.linkId);
+    if (!shareLink) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    if (!shareLink.revokedAt) {
+      shareLink.revokedAt = new Date();
+      await trip.save();
+    }
+
+    res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    List a trip's collaborators
+// @route   GET /api/trips/:id/collaborators
+// @access  Private (owner)
+const getCollaborators = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    await trip.populate('collaborators.userId', 'name email');
+
+    res.json(trip.collaborators);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Add a collaborator by email, or change their role
+// @route   POST /api/trips/:id/collaborators
+// @access  Private (owner)
+const addCollaborator = async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ message: 'Please provide an email' });
+    }
+
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}` });
+    }
+
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return res.status(404).json({ message: 'No user found with that email' });
+    }
+
+    if (user._id.equals(trip.ownerId)) {
+      return res.status(400).json({ message: 'The owner cannot be added as a collaborator' });
+    }
+
+    const existing = trip.collaborators.find(c => c.userId.equals(user._id));
+    if (existing) {
+      existing.role = role;
+    } else {
+      trip.collaborators.push({ userId: user._id, role });
+    }
+
+    await trip.save();
+
+    res.status(existing ? 200 : 201).json({
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      role
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Remove a collaborator
+// @route   DELETE /api/trips/:id/collaborators/:userId
+// @access  Private (owner)
+const removeCollaborator = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const index = trip.collaborators.findIndex(c => c.userId.toString() === req.params.userId);
+    if (index === -1) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    trip.collaborators.splice(index, 1);
+    await trip.save();
+
+    res.json({ message: 'Collaborator removed' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  getCollaborators,
+  addCollaborator,
+  removeCollaborator
+};
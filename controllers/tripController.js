@@ -1,12 +1,76 @@
+const fs = require('fs');
 const Trip = require('../models/Trip');
+const Album = require('../models/Album');
+const MediaItem = require('../models/MediaItem');
+const { findTripWithAccess } = require('../utils/tripAccess');
+const { importTripDocument } = require('../utils/tripImport');
+const { createTripBackup, restoreTripBackup } = require('../utils/tripBackup');
+const { resolveDayOffset, createTripCopy } = require('../utils/tripClone');
+const { buildTripCalendar } = require('../utils/calendar');
+const { buildTripGeoJSON } = require('../utils/geojson');
+const { deleteTripCascade } = require('../utils/cleanup');
+const { buildTripStats } = require('../utils/tripStats');
+const { checkItinerary } = require('../utils/itineraryCheck');
+const { buildTripTimeline } = require('../utils/timeline');
+const { toFileName } = require('../utils/zipArchive');
+const { parseListQuery, parseDateFilter, findPage } = require('../utils/listQuery');
 
-// @desc    Get all trips
+// Interpret a boolean option passed as a query string or multipart field
+const isEnabled = (value) => value === true || value === 'true' || value === '1';
+
+// Fields a trip list can sort by or return
+const TRIP_SORT_FIELDS = ['startDate', 'endDate', 'tripName', 'createdAt', 'updatedAt'];
+const TRIP_SELECT_FIELDS = [
+  'tripName', 'dateRange', 'startDate', 'endDate', 'description', 'coverImage', 'budget',
+  'ownerId', 'defaultAlbumId', 'isTemplate', 'segments', 'stays', 'createdAt', 'updatedAt'
+];
+
+// Lists include trips shared with the user, so sharing details are left out;
+// only the owner sees those, through GET /api/trips/:id
+const TRIP_LIST_SELECT = '-shareLinks -collaborators';
+
+// Summary mode also leaves out the embedded arrays a list view doesn't need
+const TRIP_SUMMARY_SELECT = `-segments -stays ${TRIP_LIST_SELECT}`;
+
+// @desc    Get all trips as { data, pagination }, 20 per page by default. Filters:
+//          ?from, ?to (trips overlapping the range), ?segmentType. Also ?sort,
+//          ?fields and ?summary=true. Share links and collaborators are never listed.
+//          Templates are left out; ?templates=true lists only templates.
 // @route   GET /api/trips
-// @access  Public
+// @access  Private
 const getTrips = async (req, res) => {
   try {
-    const trips = await Trip.find({});
-    res.json(trips);
+    const options = parseListQuery(req.query, {
+      sortFields: TRIP_SORT_FIELDS,
+      defaultSort: { startDate: -1 },
+      selectFields: TRIP_SELECT_FIELDS
+    });
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    const filter = {
+      $or: [
+        { ownerId: req.user._id },
+        { 'collaborators.userId': req.user._id }
+      ]
+    };
+
+    const from = parseDateFilter(req.query.from);
+    const to = parseDateFilter(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+    if (from) filter.endDate = { $gte: from };
+    if (to) filter.startDate = { $lte: to };
+    if (req.query.segmentType) filter['segments.type'] = req.query.segmentType;
+    filter.isTemplate = isEnabled(req.query.templates) ? true : { $ne: true };
+
+    if (!options.select) {
+      options.select = isEnabled(req.query.summary) ? TRIP_SUMMARY_SELECT : TRIP_LIST_SELECT;
+    }
+
+    res.json(await findPage(Trip, filter, options));
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -15,16 +79,23 @@ const getTrips = async (req, res) => {
 
 // @desc    Get a single trip by ID
 // @route   GET /api/trips/:id
-// @access  Public
+// @access  Private (viewer) or share link
 const getTripById = async (req, res) => {
   try {
-    const trip = await Trip.findById(req.params.id);
+    const { trip, role, error } = await findTripWithAccess(req.params.id, req, 'viewer');
     
-    if (!trip) {
-      return res.status(404).json({ message: 'Trip not found' });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    
+    // Only the owner sees who the trip is shared with
+    const response = trip.toJSON();
+    if (role !== 'owner') {
+      delete response.shareLinks;
+      delete response.collaborators;
     }
     
-    res.json(trip);
+    res.json(response);
   } catch (error) {
     console.error(error);
     if (error.kind === 'ObjectId') {
@@ -34,12 +105,28 @@ const getTripById = async (req, res) => {
   }
 };
 
-// @desc    Create a new trip
+// Run the itinerary checks before saving when ?strict=true. Returns true
+// if a response was already sent because the trip has errors.
+const rejectInconsistentTrip = (trip, req, res) => {
+  if (!isEnabled(req.query.strict)) return false;
+
+  const report = checkItinerary(trip);
+  if (report.valid) return false;
+
+  res.status(400).json({
+    message: 'Itinerary has errors',
+    errors: report.errors,
+    warnings: report.warnings
+  });
+  return true;
+};
+
+// @desc    Create a new trip (?strict=true rejects itineraries with errors)
 // @route   POST /api/trips
-// @access  Public (would typically be Private with auth)
+// @access  Private
 const createTrip = async (req, res) => {
   try {
-    const { tripName, segments, stays } = req.body;
+    const { tripName, segments, stays, budget, isTemplate } = req.body;
 
     // Basic validation
     if (!tripName || !segments || !stays) {
@@ -48,10 +135,15 @@ const createTrip = async (req, res) => {
 
     const trip = new Trip({
       tripName,
+      ownerId: req.user._id,
       segments,
-      stays
+      stays,
+      budget,
+      isTemplate
     });
 
+    if (rejectInconsistentTrip(trip, req, res)) return;
+
     const createdTrip = await trip.save();
     res.status(201).json(createdTrip);
   } catch (error) {
@@ -64,18 +156,18 @@ const createTrip = async (req, res) => {
   }
 };
 
-// @desc    Update a trip
+// @desc    Update a trip (?strict=true rejects itineraries with errors)
 // @route   PUT /api/trips/:id
-// @access  Public (would typically be Private with auth)
+// @access  Private (owner)
 const updateTrip = async (req, res) => {
   try {
-    const { tripName, segments, stays } = req.body;
+    const { tripName, segments, stays, budget, isTemplate } = req.body;
 
     // Find the trip to update
-    let trip = await Trip.findById(req.params.id);
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
 
-    if (!trip) {
-      return res.status(404).json({ message: 'Trip not found' });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
 
     // Update trip fields
@@ -85,6 +177,12 @@ const updateTrip = async (req, res) => {
     if (segments) trip.segments = segments;
     if (stays) trip.stays = stays;
 
+    // A null budget removes it
+    if (budget !== undefined) trip.budget = budget;
+    if (isTemplate !== undefined) trip.isTemplate = isTemplate;
+
+    if (rejectInconsistentTrip(trip, req, res)) return;
+
     // Save the updated trip
     const updatedTrip = await trip.save();
     res.json(updatedTrip);
@@ -101,19 +199,54 @@ const updateTrip = async (req, res) => {
   }
 };
 
-// @desc    Delete a trip
+// @desc    Delete a trip with its albums, media, files and expenses
 // @route   DELETE /api/trips/:id
-// @access  Public (would typically be Private with auth)
+// @access  Private (owner)
 const deleteTrip = async (req, res) => {
   try {
-    const trip = await Trip.findById(req.params.id);
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
 
-    if (!trip) {
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    // Remove the trip's albums, media and stored files along with it
+    const deleted = await deleteTripCascade(trip);
+    res.json({
+      message: 'Trip removed',
+      albumsDeleted: deleted.albums,
+      mediaItemsDeleted: deleted.mediaItems,
+      expensesDeleted: deleted.expenses
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
       return res.status(404).json({ message: 'Trip not found' });
     }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Build a filesystem-friendly name for exported trip files
+const tripFileName = (trip) => trip.tripName
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '') || 'trip';
+
+// @desc    Export a trip itinerary as an iCalendar feed
+// @route   GET /api/trips/:id/calendar.ics
+// @access  Private (viewer)
+const getTripCalendar = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'viewer');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
 
-    await trip.remove();
-    res.json({ message: 'Trip removed' });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${tripFileName(trip)}.ics"`);
+    res.send(buildTripCalendar(trip));
   } catch (error) {
     console.error(error);
     if (error.kind === 'ObjectId') {
@@ -123,57 +256,279 @@ const deleteTrip = async (req, res) => {
   }
 };
 
-// @desc    Import Japan trip data
-// @route   POST /api/trips/import-japan
-// @access  Public (would typically be Private with auth)
-const importJapanTrip = async (req, res) => {
+// @desc    Export trip routes and stays as GeoJSON
+// @route   GET /api/trips/:id/geojson
+// @access  Private (viewer)
+const getTripGeoJSON = async (req, res) => {
   try {
-    // Check if Japan trip already exists
-    const existingTrip = await Trip.findOne({ tripName: 'Japan Adventure 2025' });
-    
-    if (existingTrip) {
-      return res.status(400).json({ message: 'Japan trip already imported' });
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'viewer');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
-    
-    // Sample data structure based on your frontend japan-trip-data.js
-    const japanTripData = {
-      "tripName": "Japan Adventure 2025",
-      "segments": [
-        {
-          "date": "2025-02-16",
-          "type": "flight",
-          "transport": "AA 3180",
-          "origin": {
-            "name": "Ronald Reagan Washington National Airport (DCA)",
-            "code": "DCA",
-            "coordinates": [38.8512, -77.0402]
-          },
-          "destination": {
-            "name": "O'Hare International Airport (ORD)",
-            "code": "ORD",
-            "coordinates": [41.9742, -87.9073]
-          }
-        },
-        // Add more segments here as needed
-      ],
-      "stays": [
-        {
-          "location": "Hilton Garden Inn O'Hare",
-          "coordinates": [42.000855, -87.864553],
-          "dateStart": "2025-02-16",
-          "dateEnd": "2025-02-17",
-          "notes": "Airport hotel before Japan flight"
-        },
-        // Add more stays here as needed
-      ]
+
+    res.set('Content-Type', 'application/geo+json; charset=utf-8');
+    res.send(JSON.stringify(buildTripGeoJSON(trip)));
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get summary statistics for a trip
+// @route   GET /api/trips/:id/stats
+// @access  Private (viewer)
+const getTripStats = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'viewer');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const albums = await Album.find({ tripId: trip._id }).select('_id');
+    const typeCounts = await MediaItem.aggregate([
+      { $match: { albumId: { $in: albums.map(album => album._id) } } },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]);
+
+    const counts = Object.fromEntries(typeCounts.map(({ _id, count }) => [_id, count]));
+
+    res.json(buildTripStats(trip, {
+      albums: albums.length,
+      photos: counts.photo,
+      notes: counts.note
+    }));
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Check a trip's itinerary for inconsistencies
+// @route   GET /api/trips/:id/validate
+// @access  Private (viewer)
+const validateTrip = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'viewer');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json(checkItinerary(trip));
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get a day-by-day itinerary with segments, stays and media
+// @route   GET /api/trips/:id/timeline
+// @access  Private (viewer)
+const getTripTimeline = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'viewer');
+
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const albums = await Album.find({
+      tripId: trip._id,
+      'relatedItem.type': { $in: ['segment', 'stay'] }
+    }).select('name relatedItem');
+
+    const mediaItems = await MediaItem.find({ albumId: { $in: albums.map(album => album._id) } })
+      .select('albumId type content caption takenAt derivatives sortOrder');
+
+    res.json(buildTripTimeline(trip, albums, mediaItems));
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Import a trip from a JSON document (file upload or request body). With upsert,
+//          segments and stays that match existing ones keep their albums; albums and
+//          expenses of removed ones move to the trip level (counted in reassigned).
+// @route   POST /api/trips/import
+// @access  Private
+const importTrip = async (req, res) => {
+  try {
+    let tripData = req.body;
+
+    if (req.file) {
+      try {
+        tripData = JSON.parse(req.file.buffer.toString('utf8'));
+      } catch (parseError) {
+        return res.status(400).json({ message: 'Uploaded file is not valid JSON' });
+      }
+    }
+
+    // Options come from the query string, or from form fields alongside an uploaded file
+    const optionSource = req.file ? { ...req.body, ...req.query } : req.query;
+    const options = {
+      dryRun: isEnabled(optionSource.dryRun),
+      upsert: isEnabled(optionSource.upsert),
+      createAlbums: isEnabled(optionSource.createAlbums),
+      ownerId: req.user._id
     };
-    
-    const trip = new Trip(japanTripData);
-    const createdTrip = await trip.save();
-    
-    res.status(201).json(createdTrip);
+
+    const result = await importTripDocument(tripData, options);
+
+    if (result.action === 'invalid') {
+      return res.status(400).json({
+        message: 'Trip document failed validation',
+        errors: result.validation.errors
+      });
+    }
+
+    if (result.action === 'conflict') {
+      return res.status(409).json({
+        message: 'A trip with this name already exists. Use upsert to replace it.',
+        tripId: result.trip._id
+      });
+    }
+
+    if (options.dryRun) {
+      return res.json({
+        dryRun: true,
+        action: result.action,
+        tripId: result.trip ? result.trip._id : null,
+        segmentCount: tripData.segments.length,
+        stayCount: tripData.stays.length,
+        albumsToCreate: result.albumsToCreate,
+        reassigned: result.reassigned
+      });
+    }
+
+    res.status(result.action === 'create' ? 201 : 200).json({
+      action: result.action,
+      trip: result.trip,
+      albums: result.albums,
+      reassigned: result.reassigned
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Download a trip backup: a ZIP with the trip, its albums, media
+//          items and expenses, and every stored file they reference
+// @route   GET /api/trips/:id/backup
+// @access  Private (owner)
+const backupTrip = async (req, res) => {
+  try {
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'owner');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const zipfile = await createTripBackup(trip);
+
+    res.attachment(`${toFileName(trip.tripName, 'trip')} backup.zip`);
+    zipfile.on('error', (zipError) => {
+      // Headers are already sent, so all we can do is cut the download short
+      console.error(`Error writing backup for trip ${trip._id}:`, zipError);
+      res.destroy(zipError);
+    });
+    zipfile.outputStream.pipe(res);
   } catch (error) {
     console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Restore a trip backup (multipart field "file") as a new trip
+//          owned by the current user, with fresh IDs throughout
+// @route   POST /api/trips/restore
+// @access  Private
+const restoreTrip = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a backup archive' });
+    }
+
+    const result = await restoreTripBackup(req.file.path, req.user._id);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error(error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (req.file) {
+      await fs.promises.rm(req.file.path, { force: true });
+    }
+  }
+};
+
+// @desc    Copy a trip's segments and stays into a new trip. Body: { tripName,
+//          startDate or offsetDays, copyAlbums, isTemplate }. Dates move by
+//          offsetDays, or so the copy starts on startDate.
+// @route   POST /api/trips/:id/clone
+// @access  Private (viewer)
+const cloneTrip = async (req, res) => {
+  try {
+    const { tripName, startDate, offsetDays, copyAlbums, isTemplate } = req.body || {};
+
+    const { trip, error } = await findTripWithAccess(req.params.id, req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const { days, error: offsetError } = resolveDayOffset(trip, { startDate, offsetDays });
+    if (offsetError) {
+      return res.status(400).json({ message: offsetError });
+    }
+
+    const result = await createTripCopy(trip, req.user._id, days, {
+      tripName,
+      isTemplate: isEnabled(isTemplate),
+      copyAlbums: isEnabled(copyAlbums)
+    });
+
+    res.status(201).json({
+      trip: result.trip,
+      albums: result.albums,
+      shiftedDays: days
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ message: messages.join(', ') });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -184,5 +539,13 @@ module.exports = {
   createTrip,
   updateTrip,
   deleteTrip,
-  importJapanTrip
+  getTripCalendar,
+  getTripGeoJSON,
+  getTripStats,
+  validateTrip,
+  getTripTimeline,
+  importTrip,
+  backupTrip,
+  restoreTrip,
+  cloneTrip
 };
\ No newline at end of file
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+dotenv.config({ path: './.env' });
+
+const connectDB = require('./config/db');
+const User = require('./models/User');
+const { importTripDocument } = require('./utils/tripImport');
+
+const usage = 'Usage: node importTrip.js <trip.json> --owner <email> [--dry-run] [--upsert] [--create-albums]';
+
+// Import a trip document from a JSON file
+const importTrip = async () => {
+  const args = process.argv.slice(2);
+  const ownerIndex = args.indexOf('--owner');
+  const ownerEmail = ownerIndex !== -1 ? args[ownerIndex + 1] : undefined;
+  const file = args.find((arg, index) => !arg.startsWith('--') && index !== ownerIndex + 1);
+
+  if (!file || !ownerEmail) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  const options = {
+    dryRun: args.includes('--dry-run'),
+    upsert: args.includes('--upsert'),
+    createAlbums: args.includes('--create-albums')
+  };
+
+  try {
+    const tripData = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+    await connectDB();
+
+    const owner = await User.findOne({ email: ownerEmail.toLowerCase() });
+    if (!owner) {
+      console.error(`No user found with email ${ownerEmail}`);
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+
+    const result = await importTripDocument(tripData, { ...options, ownerId: owner._id });
+
+    if (result.action === 'invalid') {
+      console.error('Trip document failed validation:');
+      console.error(JSON.stringify(result.validation.errors, null, 2));
+      process.exitCode = 1;
+    } else if (result.action === 'conflict') {
+      console.error(`Trip "${tripData.tripName}" already exists (ID: ${result.trip._id}). Use --upsert to replace it.`);
+      process.exitCode = 1;
+    } else if (options.dryRun) {
+      console.log(`Dry run: trip "${tripData.tripName}" is valid and would be ${result.action === 'create' ? 'created' : 'updated'}.`);
+      if (result.reassigned.albums > 0 || result.reassigned.expenses > 0) {
+        console.log(`${result.reassigned.albums} albums and ${result.reassigned.expenses} expenses of removed segments and stays would move to the trip level`);
+      }
+    } else {
+      console.log(`Trip ${result.action === 'create' ? 'created' : 'updated'} with ID: ${result.trip._id}`);
+      if (result.albums.length > 0) {
+        console.log(`Created ${result.albums.length} default albums`);
+      }
+      if (result.reassigned.albums > 0 || result.reassigned.expenses > 0) {
+        console.log(`Moved ${result.reassigned.albums} albums and ${result.reassigned.expenses} expenses of removed segments and stays to the trip level`);
+      }
+    }
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error importing trip data:', error);
+    process.exit(1);
+  }
+};
+
+// Run the import
+importTrip();
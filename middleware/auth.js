@@ -0,0 +1,107 @@
+const User = require('../models/User');
+const { verifyToken } = require('../utils/token');
+
+// Resolve the user from a bearer token, or null if no token was sent.
+// Throws when a token was sent but isn't valid.
+const resolveUser = async (req) => {
+  const header = req.headers.authorization;
+
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const decoded = verifyToken(header.slice('Bearer '.length));
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.name = 'JsonWebTokenError';
+    throw error;
+  }
+
+  return user;
+};
+
+const handleAuthError = (error, res) => {
+  if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+    return res.status(401).json({ message: 'Not authorized, token invalid' });
+  }
+  console.error(error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+// Require a valid bearer token and attach the authenticated user to req.user
+const protect = async (req, res, next) => {
+  try {
+    const user = await resolveUser(req);
+
+    if (!user) {
+      return res.status(401).json({ message: 'Not authorized, no token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    handleAuthError(error, res);
+  }
+};
+
+// Trip share token sent with a request (X-Share-Token header or shareToken
+// query parameter), or undefined
+const getShareToken = (req) => req.get('X-Share-Token') || req.query.shareToken;
+
+// Accept either a bearer token or a trip share token. The share token is
+// only honoured on routes that opt in with allowShareToken; everywhere else
+// a request without a user is turned away by the access helpers.
+const authenticate = async (req, res, next) => {
+  try {
+    const user = await resolveUser(req);
+
+    if (user) {
+      req.user = user;
+      return next();
+    }
+
+    if (getShareToken(req)) {
+      return next();
+    }
+
+    res.status(401).json({ message: 'Not authorized, no token' });
+  } catch (error) {
+    handleAuthError(error, res);
+  }
+};
+
+// Let a share token grant viewer access on this route. Only the read-only
+// trip, album and album media routes use it.
+const allowShareToken = (req, res, next) => {
+  const shareToken = getShareToken(req);
+  if (!req.user && shareToken) {
+    req.shareToken = String(shareToken);
+  }
+  next();
+};
+
+// Reject requests authenticated only by a share token
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Not authorized, sign in required' });
+  }
+  next();
+};
+
+// Restrict a route to admin users; use after protect
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  authenticate,
+  allowShareToken,
+  requireUser,
+  requireAdmin
+};
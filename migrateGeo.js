@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: './.env' });
+
+const connectDB = require('./config/db');
+const Trip = require('./models/Trip');
+const MediaItem = require('./models/MediaItem');
+const { isValidLatLng } = require('./utils/geo');
+
+const usage = 'Usage: node migrateGeo.js [--dry-run] [--fix-swapped]';
+
+// A pair that only makes sense read the other way round was entered as [longitude, latitude]
+const isSwapped = (pair) => !isValidLatLng(pair) && Array.isArray(pair) && isValidLatLng([...pair].reverse());
+
+// Every stored [latitude, longitude] place in a trip, with a label for reporting
+const tripPlaces = (trip) => [
+  ...trip.segments.flatMap(segment => [
+    { label: `segment ${segment.transport} origin`, place: segment.origin },
+    { label: `segment ${segment.transport} destination`, place: segment.destination }
+  ]),
+  ...trip.stays.map(stay => ({ label: `stay ${stay.location}`, place: stay }))
+];
+
+// Add GeoJSON points (in [longitude, latitude] order) for every stored
+// coordinate pair and build the 2dsphere indexes
+const migrateGeo = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const fixSwapped = args.includes('--fix-swapped');
+
+  if (args.some(arg => arg !== '--dry-run' && arg !== '--fix-swapped')) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    let updatedTrips = 0;
+    let swappedPlaces = 0;
+    let invalidPlaces = 0;
+    let failedTrips = 0;
+
+    const tripCursor = Trip.find({}).cursor();
+    for (let trip = await tripCursor.next(); trip; trip = await tripCursor.next()) {
+      tripPlaces(trip).forEach(({ label, place }) => {
+        const pair = [...place.coordinates];
+        if (isValidLatLng(pair)) return;
+
+        if (isSwapped(pair)) {
+          swappedPlaces++;
+          if (fixSwapped) {
+            const fixed = [pair[1], pair[0]];
+            console.log(`Swapping ${trip.tripName}: ${label} [${pair}] -> [${fixed}]`);
+            place.coordinates = fixed;
+          } else {
+            console.warn(`${trip.tripName}: ${label} looks like [longitude, latitude] [${pair}]; use --fix-swapped`);
+          }
+        } else {
+          invalidPlaces++;
+          console.warn(`${trip.tripName}: ${label} has invalid coordinates [${pair}]; no point added`);
+        }
+      });
+
+      // Validation runs the hooks that derive the geo points
+      try {
+        await trip.validate();
+        if (!trip.isModified()) continue;
+
+        if (!dryRun) {
+          await trip.save();
+        }
+        updatedTrips++;
+      } catch (error) {
+        failedTrips++;
+        console.warn(`${trip.tripName} (${trip._id}) could not be migrated: ${error.message}`);
+      }
+    }
+
+    let updatedMedia = 0;
+    let failedMedia = 0;
+    const mediaCursor = MediaItem.find({
+      type: 'photo',
+      'metadata.latitude': { $exists: true },
+      'metadata.longitude': { $exists: true }
+    }).cursor();
+    for (let mediaItem = await mediaCursor.next(); mediaItem; mediaItem = await mediaCursor.next()) {
+      try {
+        await mediaItem.validate();
+        if (!mediaItem.isModified()) continue;
+
+        if (!dryRun) {
+          await mediaItem.save();
+        }
+        updatedMedia++;
+      } catch (error) {
+        failedMedia++;
+        console.warn(`Photo ${mediaItem._id} could not be migrated: ${error.message}`);
+      }
+    }
+
+    if (!dryRun) {
+      await Trip.createIndexes();
+      await MediaItem.createIndexes();
+    }
+
+    console.log(`${dryRun ? 'Dry run: ' : ''}${updatedTrips} trips and ${updatedMedia} photos given GeoJSON points`);
+    if (swappedPlaces > 0) {
+      console.log(`${swappedPlaces} places stored as [longitude, latitude]${fixSwapped ? ' were swapped' : ''}`);
+    }
+    if (invalidPlaces > 0) {
+      console.warn(`${invalidPlaces} places have invalid coordinates and were left without a point`);
+    }
+    if (failedTrips > 0 || failedMedia > 0) {
+      console.warn(`${failedTrips} trips and ${failedMedia} photos failed validation or saving and were skipped`);
+      process.exitCode = 1;
+    }
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error migrating coordinates:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+migrateGeo();
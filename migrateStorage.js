@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables
+dotenv.config({ path: './.env' });
+
+const connectDB = require('./config/db');
+const MediaItem = require('./models/MediaItem');
+const { createStorage, getTempPath, withLocalFile } = require('./storage');
+
+const usage = 'Usage: node migrateStorage.js --from <local|s3> --to <local|s3> [--dry-run] [--delete-source]';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic'
+};
+
+const getOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+// Copy one stored file between backends, leaving the source in place
+const copyFile = async (source, target, key) => {
+  await withLocalFile(source, key, async (localPath) => {
+    const tempPath = getTempPath(key);
+    await fs.promises.copyFile(localPath, tempPath);
+    await target.saveFile(key, tempPath, CONTENT_TYPES[path.extname(key).toLowerCase()]);
+  });
+};
+
+// Move media files between storage backends and rewrite MediaItem URLs
+const migrateStorage = async () => {
+  const args = process.argv.slice(2);
+  const from = getOption(args, '--from');
+  const to = getOption(args, '--to');
+  const dryRun = args.includes('--dry-run');
+  const deleteSource = args.includes('--delete-source');
+
+  if (!from || !to || from === to) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  try {
+    const source = createStorage(from);
+    const target = createStorage(to);
+
+    await connectDB();
+
+    let migratedItems = 0;
+    let migratedFiles = 0;
+    let failedItems = 0;
+
+    const cursor = MediaItem.find({ type: 'photo' }).cursor();
+
+    for (let mediaItem = await cursor.next(); mediaItem; mediaItem = await cursor.next()) {
+      const urls = [mediaItem.content, ...mediaItem.derivatives.map(d => d.url)];
+      const keys = urls.map(url => source.keyFromUrl(url)).filter(Boolean);
+
+      // Nothing from the source backend on this item
+      if (keys.length === 0) continue;
+
+      if (dryRun) {
+        console.log(`Would migrate media item ${mediaItem._id} (${keys.length} files)`);
+        migratedItems++;
+        migratedFiles += keys.length;
+        continue;
+      }
+
+      try {
+        for (const key of keys) {
+          await copyFile(source, target, key);
+        }
+
+        const sourceKey = source.keyFromUrl(mediaItem.content);
+        if (sourceKey) {
+          mediaItem.content = target.getPublicUrl(sourceKey);
+        }
+        mediaItem.derivatives.forEach(derivative => {
+          const derivativeKey = source.keyFromUrl(derivative.url);
+          if (derivativeKey) {
+            derivative.url = target.getPublicUrl(derivativeKey);
+          }
+        });
+
+        await mediaItem.save();
+
+        // Only remove originals once the item points at the new backend
+        if (deleteSource) {
+          for (const key of keys) {
+            await source.deleteFile(key);
+          }
+        }
+
+        migratedItems++;
+        migratedFiles += keys.length;
+      } catch (error) {
+        console.error(`Error migrating media item ${mediaItem._id}:`, error.message);
+        failedItems++;
+      }
+    }
+
+    console.log(`${dryRun ? 'Dry run: ' : ''}${migratedItems} media items (${migratedFiles} files) migrated from ${from} to ${to}`);
+    if (failedItems > 0) {
+      console.error(`${failedItems} media items failed to migrate`);
+      process.exitCode = 1;
+    }
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error migrating storage:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration
+migrateStorage();
@@ -39,6 +39,10 @@ const albumSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  sortOrder: {
+    type: Number,
+    default: 0 // For manual ordering within a trip
+  },
   dateCreated: { 
     type: Date, 
     default: Date.now 
@@ -53,6 +57,12 @@ const albumSchema = new mongoose.Schema({
   toObject: { virtuals: true } 
 });
 
+// Full-text index for search
+albumSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'album_text', weights: { name: 3, description: 1 } }
+);
+
 // Virtual for media items in this album
 albumSchema.virtual('mediaItems', {
   ref: 'MediaItem',
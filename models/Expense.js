@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Expense schema for what a trip cost, optionally tied to a segment or stay
+ */
+const expenseSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    index: true
+  },
+  // Relation to segment or stay, like Album.relatedItem
+  relatedItem: {
+    type: {
+      type: String,
+      enum: ['segment', 'stay', 'trip'],
+      default: 'trip'
+    },
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: function() { return this.relatedItem.type !== 'trip'; }
+    }
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code']
+  },
+  category: {
+    type: String,
+    enum: ['transport', 'lodging', 'food', 'activities', 'shopping', 'fees', 'other'],
+    default: 'other'
+  },
+  payer: {
+    type: String,
+    trim: true // Who paid, as free text so it can name people without an account
+  },
+  date: {
+    type: Date,
+    required: true // Calendar day of the expense, stored as UTC midnight
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Compound index for listing a trip's expenses by item
+expenseSchema.index({ tripId: 1, 'relatedItem.type': 1, 'relatedItem.itemId': 1 });
+
+module.exports = mongoose.model('Expense', expenseSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { resolveUrl } = require('../storage');
+const { geoPointSchema, setGeoPoint } = require('./geoPointSchema');
+const { derivativeSchema } = require('./derivativeSchema');
 
 /**
  * MediaItem schema for photos and notes
@@ -26,27 +29,74 @@ const mediaItemSchema = new mongoose.Schema({
     type: Date, 
     default: Date.now 
   },
+  takenAt: {
+    type: Date,
+    index: true // Capture time from EXIF, for photos that have one
+  },
   metadata: {
     type: Map,
     of: String,
     default: {} // For flexible storage of metadata like location, camera info, etc.
   },
+  geo: geoPointSchema, // Where a photo was taken, derived from metadata latitude/longitude
+  derivatives: {
+    type: [derivativeSchema],
+    default: [] // Only populated for uploaded photos
+  },
   sortOrder: {
     type: Number,
     default: 0 // For manual ordering within an album
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Hand out signed URLs for photos when storage is private
+    transform: (doc, ret) => {
+      if (ret.type === 'photo') {
+        ret.content = resolveUrl(ret.content);
+        if (ret.derivatives) {
+          ret.derivatives = ret.derivatives.map(derivative => ({
+            ...derivative,
+            url: resolveUrl(derivative.url)
+          }));
+        }
+      }
+      return ret;
+    }
+  }
 });
 
 // Create a compound index for better performance when querying media by album and type
 mediaItemSchema.index({ albumId: 1, type: 1 });
 
+// Geospatial index for photos taken near a point
+mediaItemSchema.index({ geo: '2dsphere' });
+
+// Keep the GeoJSON point in step with the EXIF position in metadata
+mediaItemSchema.pre('validate', function(next) {
+  const metadata = this.metadata || new Map();
+  setGeoPoint(this, [parseFloat(metadata.get('latitude')), parseFloat(metadata.get('longitude'))]);
+  next();
+});
+
+// Full-text index for search. For photos content is a URL, so search only
+// counts caption matches on them.
+mediaItemSchema.index(
+  { caption: 'text', content: 'text' },
+  { name: 'media_text', weights: { caption: 2, content: 1 } }
+);
+
 // Method to check if item is a photo
 mediaItemSchema.methods.isPhoto = function() {
   return this.type === 'photo';
 };
 
+// Method to get the URL of a derivative, falling back to the original
+mediaItemSchema.methods.getDerivativeUrl = function(name, format = 'jpeg') {
+  const derivative = this.derivatives.find(d => d.name === name && d.format === format);
+  return derivative ? derivative.url : this.content;
+};
+
 // Method to check if item is a note
 mediaItemSchema.methods.isNote = function() {
   return this.type === 'note';
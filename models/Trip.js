@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { geoPointSchema, setGeoPoint } = require('./geoPointSchema');
+const { isValidTimeZone, localDayAsDate } = require('../utils/timezone');
+
+// IANA time zone name, e.g. "Asia/Tokyo"
+const timeZoneField = (requiredIf) => ({
+  type: String,
+  required: requiredIf,
+  validate: {
+    validator: isValidTimeZone,
+    message: props => `${props.value} is not a valid IANA time zone`
+  }
+});
 
 // Point schema for locations (unchanged)
 const pointSchema = new mongoose.Schema({
@@ -13,12 +25,29 @@ const pointSchema = new mongoose.Schema({
       },
       message: 'Coordinates must be [latitude, longitude]'
     }
-  }
+  },
+  geo: geoPointSchema // Derived from coordinates for geospatial queries
 });
 
+// Keep the GeoJSON point in step with the [latitude, longitude] coordinates
+const syncGeoPoint = function(next) {
+  setGeoPoint(this, this.coordinates);
+  next();
+};
+
+pointSchema.pre('validate', syncGeoPoint);
+
 // Segment schema - updated to use album references instead of direct media
 const segmentSchema = new mongoose.Schema({
-  date: { type: Date, required: true },
+  // Local calendar day of departure; derived from departureTime when that is set
+  date: {
+    type: Date,
+    required: function() { return !this.departureTime; }
+  },
+  departureTime: Date,
+  departureTimeZone: timeZoneField(function() { return !!this.departureTime; }),
+  arrivalTime: Date,
+  arrivalTimeZone: timeZoneField(function() { return !!this.arrivalTime; }),
   type: { 
     type: String, 
     required: true,
@@ -45,6 +74,20 @@ segmentSchema.virtual('id').get(function() {
   return this._id.toString();
 });
 
+// Local day of arrival, which for overnight or date-line flights differs from date
+segmentSchema.virtual('arrivalDate').get(function() {
+  if (!this.arrivalTime || !isValidTimeZone(this.arrivalTimeZone)) return undefined;
+  return localDayAsDate(this.arrivalTime, this.arrivalTimeZone);
+});
+
+// Keep the local departure day in step with the departure time
+segmentSchema.pre('validate', function(next) {
+  if (this.departureTime && isValidTimeZone(this.departureTimeZone)) {
+    this.date = localDayAsDate(this.departureTime, this.departureTimeZone);
+  }
+  next();
+});
+
 // Virtual to get all albums related to this segment
 segmentSchema.virtual('albums', {
   ref: 'Album',
@@ -66,8 +109,19 @@ const staySchema = new mongoose.Schema({
       message: 'Coordinates must be [latitude, longitude]'
     }
   },
-  dateStart: { type: Date, required: true },
-  dateEnd: { type: Date, required: true },
+  geo: geoPointSchema, // Derived from coordinates for geospatial queries
+  // Local check-in and check-out days; derived from checkIn/checkOut when those are set
+  dateStart: {
+    type: Date,
+    required: function() { return !this.checkIn; }
+  },
+  dateEnd: {
+    type: Date,
+    required: function() { return !this.checkOut; }
+  },
+  checkIn: Date,
+  checkOut: Date,
+  timeZone: timeZoneField(function() { return !!(this.checkIn || this.checkOut); }),
   notes: String,
   amenities: [String],
   
@@ -81,6 +135,17 @@ const staySchema = new mongoose.Schema({
   toObject: { virtuals: true } 
 });
 
+staySchema.pre('validate', syncGeoPoint);
+
+// Keep the local check-in and check-out days in step with their times
+staySchema.pre('validate', function(next) {
+  if (isValidTimeZone(this.timeZone)) {
+    if (this.checkIn) this.dateStart = localDayAsDate(this.checkIn, this.timeZone);
+    if (this.checkOut) this.dateEnd = localDayAsDate(this.checkOut, this.timeZone);
+  }
+  next();
+});
+
 // Virtual to get all albums related to this stay
 staySchema.virtual('albums', {
   ref: 'Album',
@@ -89,9 +154,68 @@ staySchema.virtual('albums', {
   match: { 'relatedItem.type': 'stay' }
 });
 
+// Share link schema - revocable read-only access for people without an account
+const shareLinkSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true }, // SHA-256 of the token; the token itself is only shown once
+  label: String,
+  expiresAt: Date,
+  revokedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+// Method to check if the link can still be used
+shareLinkSchema.methods.isActive = function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+// Collaborator schema - other users with a role on this trip
+const collaboratorSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['viewer', 'contributor', 'editor'],
+    default: 'viewer'
+  },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Budget schema - spending limit for the whole trip in one currency
+const budgetSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Budget cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code']
+  }
+}, { _id: false });
+
 // Trip schema - updated to include default album reference
 const tripSchema = new mongoose.Schema({
   tripName: { type: String, required: true },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   dateRange: String,
   // Calculated fields that get derived from segments and stays
   startDate: Date,
@@ -100,18 +224,60 @@ const tripSchema = new mongoose.Schema({
   stays: [staySchema],
   coverImage: String, // Optional URL for a trip cover image
   description: String, // Optional trip description
+  budget: budgetSchema, // Optional; expense summaries report against it
+  isTemplate: {
+    type: Boolean,
+    default: false // Templates are left out of trip lists and copied with POST /api/trips/:id/clone
+  },
   
   // New field for trip-level default album
   defaultAlbumId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Album'
-  }
+  },
+  
+  // Sharing
+  shareLinks: [shareLinkSchema],
+  collaborators: [collaboratorSchema]
 }, { 
   timestamps: true,
   toJSON: { virtuals: true }, 
   toObject: { virtuals: true } 
 });
 
+// Indexes for resolving share tokens and listing shared trips
+tripSchema.index({ 'shareLinks.tokenHash': 1 });
+tripSchema.index({ 'collaborators.userId': 1 });
+
+// Geospatial indexes for the explorer
+tripSchema.index({ 'stays.geo': '2dsphere' });
+tripSchema.index({ 'segments.origin.geo': '2dsphere' });
+tripSchema.index({ 'segments.destination.geo': '2dsphere' });
+
+// Full-text index for search; trip names weigh more than itinerary details
+tripSchema.index({
+  tripName: 'text',
+  description: 'text',
+  'segments.transport': 'text',
+  'segments.origin.name': 'text',
+  'segments.destination.name': 'text',
+  'segments.notes': 'text',
+  'stays.location': 'text',
+  'stays.notes': 'text'
+}, {
+  name: 'trip_text',
+  weights: {
+    tripName: 10,
+    description: 5,
+    'stays.location': 4,
+    'segments.transport': 3,
+    'segments.origin.name': 3,
+    'segments.destination.name': 3,
+    'segments.notes': 2,
+    'stays.notes': 2
+  }
+});
+
 // Virtual to get all albums for this trip
 tripSchema.virtual('albums', {
   ref: 'Album',
@@ -119,28 +285,36 @@ tripSchema.virtual('albums', {
   foreignField: 'tripId'
 });
 
-// Add a pre-save hook to calculate the date range (unchanged)
+// Format a stored calendar day (UTC midnight) as "Feb 16"
+const formatDay = (date) => date.toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+// Add a pre-save hook to calculate the date range. Segment and stay days are
+// already local to where they happen, so no server time zone is involved.
 tripSchema.pre('save', function(next) {
   // Extract all dates
   const segmentDates = this.segments.map(segment => new Date(segment.date));
+  const arrivalDates = this.segments.map(segment => segment.arrivalDate).filter(Boolean);
   const stayStartDates = this.stays.map(stay => new Date(stay.dateStart));
   const stayEndDates = this.stays.map(stay => new Date(stay.dateEnd));
   
-  const allDates = [...segmentDates, ...stayStartDates, ...stayEndDates];
+  const allDates = [...segmentDates, ...arrivalDates, ...stayStartDates, ...stayEndDates];
   
   if (allDates.length > 0) {
     this.startDate = new Date(Math.min(...allDates));
     this.endDate = new Date(Math.max(...allDates));
     
-    // Format the date range
-    const formatDate = (date) => {
-      const month = date.toLocaleDateString('en-US', { month: 'short' });
-      const day = date.getDate();
-      return `${month} ${day}`;
-    };
-    
-    const year = this.endDate.getFullYear();
-    this.dateRange = `${formatDate(this.startDate)} - ${formatDate(this.endDate)}, ${year}`;
+    // Format the date range, with both years if the trip spans new year
+    const startYear = this.startDate.getUTCFullYear();
+    const endYear = this.endDate.getUTCFullYear();
+    const start = startYear === endYear
+      ? formatDay(this.startDate)
+      : `${formatDay(this.startDate)}, ${startYear}`;
+
+    this.dateRange = `${start} - ${formatDay(this.endDate)}, ${endYear}`;
   }
   
   next();
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { derivativeSchema } = require('./derivativeSchema');
+
+/**
+ * Upload schema for photos stored by POST /api/media/upload that no media
+ * item has claimed yet. Only the uploading user can turn one into a media
+ * item, and only once. While the record exists cleanupOrphans.js leaves
+ * the file and its derivatives alone.
+ */
+const uploadSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true // Storage key of the original file
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What the upload read and generated, copied to the media item that claims it
+  takenAt: Date,
+  metadata: {
+    type: Map,
+    of: String
+  },
+  derivatives: [derivativeSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 7 * 24 * 60 * 60 // After that, cleanupOrphans.js removes the unclaimed files
+  }
+});
+
+module.exports = mongoose.model('Upload', uploadSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+/**
+ * User schema for account authentication and trip ownership
+ */
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false // Never returned unless explicitly requested
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user' // Admins can run maintenance tasks across all trips
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save hook to hash the password whenever it changes
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+// Method to compare a plain-text password against the stored hash
+userSchema.methods.matchPassword = function(enteredPassword) {
+  return bcrypt.compare(enteredPassword, this.password);
+};
+
+// Strip the password hash from JSON output
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Resized copy of a photo (see utils/imageDerivatives.js)
+const derivativeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ['thumbnail', 'medium', 'large']
+  },
+  format: String, // jpeg or webp
+  url: String,
+  width: Number,
+  height: Number
+}, { _id: false });
+
+module.exports = {
+  derivativeSchema
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { isValidLatLng, toGeoPoint } = require('../utils/geo');
+
+/**
+ * GeoJSON Point for 2dsphere indexes. Coordinates are [longitude, latitude],
+ * the reverse of the [latitude, longitude] arrays stored alongside them.
+ */
+const geoPointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point',
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function(v) {
+        return v.length === 2;
+      },
+      message: 'GeoJSON coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+/**
+ * Set doc.geo from a [latitude, longitude] pair, or clear it if the pair
+ * can't be a latitude and longitude. Leaves an unchanged point alone so
+ * documents aren't marked modified for nothing.
+ */
+const setGeoPoint = (doc, pair) => {
+  const point = isValidLatLng(pair) ? toGeoPoint(pair) : undefined;
+  const current = doc.geo && doc.geo.coordinates;
+
+  const unchanged = point
+    ? current && current[0] === point.coordinates[0] && current[1] === point.coordinates[1]
+    : !doc.geo;
+
+  if (!unchanged) doc.geo = point;
+};
+
+module.exports = {
+  geoPointSchema,
+  setGeoPoint
+};
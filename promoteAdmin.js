@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: './.env' });
+
+const connectDB = require('./config/db');
+const User = require('./models/User');
+
+const usage = 'Usage: node promoteAdmin.js <email>';
+
+// Give a user the admin role. There is no API for this, so the first admin
+// has to be made from the server.
+const promoteAdmin = async () => {
+  const args = process.argv.slice(2);
+
+  if (args.length !== 1 || args[0].startsWith('--')) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const user = await User.findOne({ email: args[0].toLowerCase() });
+    if (!user) {
+      console.error(`No user found with email ${args[0]}`);
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+
+    if (user.role === 'admin') {
+      console.log(`${user.email} is already an admin`);
+    } else {
+      await User.updateOne({ _id: user._id }, { $set: { role: 'admin' } });
+      console.log(`${user.email} is now an admin`);
+    }
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error promoting user:', error);
+    process.exit(1);
+  }
+};
+
+// Run the promotion
+promoteAdmin();
@@ -4,14 +4,45 @@ const Album = require('../models/Album');
 const MediaItem = require('../models/MediaItem');
 const Trip = require('../models/Trip');
 const mongoose = require('mongoose');
+const { requireUser, allowShareToken } = require('../middleware/auth');
+const { findTripWithAccess, findAlbumWithAccess, getAccessibleTripIds } = require('../utils/tripAccess');
+const { deleteMediaItems } = require('../utils/cleanup');
+const { parseListQuery, findPage } = require('../utils/listQuery');
+const { ALBUM_MEDIA_SORT, listAlbumsWithDetails } = require('../utils/albumListing');
+const { getRelatedItemInfo } = require('../utils/defaultAlbums');
+const { planAlbumArchive, createAlbumArchive } = require('../utils/albumArchive');
+const { toFileName } = require('../utils/zipArchive');
+const { reorderDocuments } = require('../utils/ordering');
 
-// @desc    Get all albums
+// @desc    Get all albums as { data, pagination }, 20 per page by default.
+//          Filters: ?tripId, ?relatedType, ?isDefault. Also ?sort and ?fields.
 // @route   GET /api/albums
-// @access  Public (would typically be Private with auth)
-router.get('/', async (req, res) => {
+// @access  Private
+router.get('/', requireUser, async (req, res) => {
   try {
-    const albums = await Album.find({});
-    res.json(albums);
+    const options = parseListQuery(req.query, {
+      sortFields: ['name', 'sortOrder', 'createdAt', 'lastUpdated'],
+      defaultSort: { lastUpdated: -1 },
+      selectFields: [
+        'name', 'description', 'tripId', 'relatedItem', 'coverImageId', 'isDefault', 'sortOrder',
+        'dateCreated', 'lastUpdated', 'createdAt', 'updatedAt'
+      ]
+    });
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    const tripIds = await getAccessibleTripIds(req.user);
+    const filter = { tripId: { $in: tripIds } };
+
+    // Narrowing to one trip must stay within the accessible ones
+    if (req.query.tripId) {
+      filter.tripId = tripIds.find(id => id.equals(req.query.tripId)) || null;
+    }
+    if (req.query.relatedType) filter['relatedItem.type'] = req.query.relatedType;
+    if (req.query.isDefault !== undefined) filter.isDefault = req.query.isDefault === 'true';
+
+    res.json(await findPage(Album, filter, options));
   } catch (error) {
     console.error('Error fetching albums:', error);
     res.status(500).json({ message: 'Server error' });
@@ -20,53 +51,15 @@ router.get('/', async (req, res) => {
 
 // @desc    Get albums for a specific trip with media counts
 // @route   GET /api/albums/trip/:tripId
-// @access  Public (would typically be Private with auth)
-router.get('/trip/:tripId', async (req, res) => {
+// @access  Private (viewer) or share link
+router.get('/trip/:tripId', allowShareToken, async (req, res) => {
   try {
-    const { tripId } = req.params;
-    
-    // Find all albums for this trip
-    const albums = await Album.find({ tripId });
-    
-    // For each album, get the media counts and coverage image
-    const albumsWithCounts = await Promise.all(albums.map(async (album) => {
-      const photoCount = await MediaItem.countDocuments({ 
-        albumId: album._id,
-        type: 'photo'
-      });
-      
-      const noteCount = await MediaItem.countDocuments({ 
-        albumId: album._id,
-        type: 'note'
-      });
-      
-      // If there's a coverImageId, fetch that image
-      let coverImage = null;
-      if (album.coverImageId) {
-        const coverImageDoc = await MediaItem.findById(album.coverImageId);
-        if (coverImageDoc) {
-          coverImage = coverImageDoc;
-        }
-      }
-      
-      // If no cover image is set, find the first photo
-      if (!coverImage) {
-        coverImage = await MediaItem.findOne({ 
-          albumId: album._id,
-          type: 'photo'
-        });
-      }
-      
-      return {
-        ...album.toObject(),
-        photoCount,
-        noteCount,
-        totalItems: photoCount + noteCount,
-        coverImage
-      };
-    }));
+    const { trip, error } = await findTripWithAccess(req.params.tripId, req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
     
-    res.json(albumsWithCounts);
+    res.json(await listAlbumsWithDetails({ tripId: trip._id }));
   } catch (error) {
     console.error(`Error fetching albums for trip ${req.params.tripId}:`, error);
     res.status(500).json({ message: 'Server error' });
@@ -75,8 +68,8 @@ router.get('/trip/:tripId', async (req, res) => {
 
 // @desc    Get albums for a specific item (segment or stay)
 // @route   GET /api/albums/trip/:tripId/:itemType/:itemId
-// @access  Public (would typically be Private with auth)
-router.get('/trip/:tripId/:itemType/:itemId', async (req, res) => {
+// @access  Private (viewer) or share link
+router.get('/trip/:tripId/:itemType/:itemId', allowShareToken, async (req, res) => {
   try {
     const { tripId, itemType, itemId } = req.params;
     
@@ -85,67 +78,64 @@ router.get('/trip/:tripId/:itemType/:itemId', async (req, res) => {
       return res.status(400).json({ message: 'Invalid item type. Must be "segment" or "stay"' });
     }
     
-    // Find albums for this item
-    const albums = await Album.find({ 
-      tripId,
-      'relatedItem.type': itemType,
-      'relatedItem.itemId': itemId
-    });
+    if (!mongoose.isValidObjectId(itemId)) {
+      return res.status(404).json({ message: `${itemType} not found` });
+    }
     
-    // Add media counts and cover images
-    const albumsWithDetails = await Promise.all(albums.map(async (album) => {
-      const photoCount = await MediaItem.countDocuments({ 
-        albumId: album._id,
-        type: 'photo'
-      });
-      
-      const noteCount = await MediaItem.countDocuments({ 
-        albumId: album._id,
-        type: 'note'
-      });
-      
-      // If there's a coverImageId, fetch that image
-      let coverImage = null;
-      if (album.coverImageId) {
-        const coverImageDoc = await MediaItem.findById(album.coverImageId);
-        if (coverImageDoc) {
-          coverImage = coverImageDoc;
-        }
-      }
-      
-      // If no cover image is set, find the first photo
-      if (!coverImage) {
-        coverImage = await MediaItem.findOne({ 
-          albumId: album._id,
-          type: 'photo'
-        });
-      }
-      
-      return {
-        ...album.toObject(),
-        photoCount,
-        noteCount,
-        totalItems: photoCount + noteCount,
-        coverImage
-      };
-    }));
+    const { trip, error } = await findTripWithAccess(tripId, req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
     
-    res.json(albumsWithDetails);
+    res.json(await listAlbumsWithDetails({
+      tripId: trip._id,
+      'relatedItem.type': itemType,
+      'relatedItem.itemId': new mongoose.Types.ObjectId(itemId)
+    }));
   } catch (error) {
     console.error(`Error fetching albums for ${req.params.itemType} ${req.params.itemId}:`, error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @desc    Reorder a trip's albums. Body: { albumIds: [...] } listing every
+//          album in the trip in its new order. 409 if the trip's albums
+//          changed while the order was written; the old order is kept.
+// @route   PUT /api/albums/trip/:tripId/order
+// @access  Private (editor)
+router.put('/trip/:tripId/order', async (req, res) => {
+  try {
+    const { albumIds } = req.body || {};
+
+    const { trip, error } = await findTripWithAccess(req.params.tripId, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const { updated, error: orderError } = await reorderDocuments(Album, albumIds, { tripId: trip._id }, 'album');
+    if (orderError) {
+      return res.status(orderError.status).json({ message: orderError.message });
+    }
+
+    res.json({ tripId: trip._id, albumIds, updated });
+  } catch (error) {
+    console.error(`Error reordering albums for trip ${req.params.tripId}:`, error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get a single album by ID with media items
 // @route   GET /api/albums/:id
-// @access  Public (would typically be Private with auth)
-router.get('/:id', async (req, res) => {
+// @access  Private (viewer) or share link
+router.get('/:id', allowShareToken, async (req, res) => {
   try {
-    const album = await Album.findById(req.params.id);
+    const { album, trip, error } = await findAlbumWithAccess(req.params.id, req, 'viewer');
     
-    if (!album) {
-      return res.status(404).json({ message: 'Album not found' });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
     
     // Get all media items for this album
@@ -153,36 +143,7 @@ router.get('/:id', async (req, res) => {
       .sort({ sortOrder: 1, dateCreated: -1 }); // Sort by manual order, then by date
     
     // Get related item info (segment or stay)
-    let relatedItemInfo = null;
-    if (album.relatedItem && album.relatedItem.type !== 'trip') {
-      const trip = await Trip.findById(album.tripId);
-      
-      if (trip) {
-        if (album.relatedItem.type === 'segment') {
-          const segment = trip.segments.id(album.relatedItem.itemId);
-          if (segment) {
-            relatedItemInfo = {
-              id: segment._id,
-              type: 'segment',
-              name: segment.transport,
-              description: `${segment.origin.name} → ${segment.destination.name}`,
-              date: segment.date
-            };
-          }
-        } else if (album.relatedItem.type === 'stay') {
-          const stay = trip.stays.id(album.relatedItem.itemId);
-          if (stay) {
-            relatedItemInfo = {
-              id: stay._id,
-              type: 'stay',
-              name: stay.location,
-              description: `${stay.dateStart} - ${stay.dateEnd}`,
-              date: stay.dateStart
-            };
-          }
-        }
-      }
-    }
+    const relatedItemInfo = getRelatedItemInfo(album, trip);
     
     res.json({
       ...album.toObject(),
@@ -198,9 +159,41 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @desc    Download an album as a ZIP: photo files, notes as Markdown and
+//          a manifest.json with captions, metadata and the related item
+// @route   GET /api/albums/:id/export.zip
+// @access  Private (viewer)
+router.get('/:id/export.zip', async (req, res) => {
+  try {
+    const { album, trip, error } = await findAlbumWithAccess(req.params.id, req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const mediaItems = await MediaItem.find({ albumId: album._id }).sort({ ...ALBUM_MEDIA_SORT, _id: 1 });
+    const plan = await planAlbumArchive(album, getRelatedItemInfo(album, trip), mediaItems);
+
+    res.attachment(`${toFileName(album.name, 'album')}.zip`);
+
+    const zipfile = createAlbumArchive(plan);
+    zipfile.on('error', (zipError) => {
+      // Headers are already sent, so all we can do is cut the download short
+      console.error(`Error writing archive for album ${album._id}:`, zipError);
+      res.destroy(zipError);
+    });
+    zipfile.outputStream.pipe(res);
+  } catch (error) {
+    console.error(`Error exporting album ${req.params.id}:`, error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Create a new album
 // @route   POST /api/albums
-// @access  Public (would typically be Private with auth)
+// @access  Private (editor)
 router.post('/', async (req, res) => {
   try {
     const { name, description, tripId, relatedItem, isDefault } = req.body;
@@ -210,6 +203,11 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Please provide a name and tripId' });
     }
 
+    const { trip, error } = await findTripWithAccess(tripId, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
     // Create the new album
     const album = new Album({
       name,
@@ -223,23 +221,19 @@ router.post('/', async (req, res) => {
     
     // If this is a default album, update the related item
     if (isDefault && relatedItem && relatedItem.type !== 'trip') {
-      const trip = await Trip.findById(tripId);
-      
-      if (trip) {
-        if (relatedItem.type === 'segment') {
-          const segment = trip.segments.id(relatedItem.itemId);
-          if (segment) {
-            segment.defaultAlbumId = createdAlbum._id;
-          }
-        } else if (relatedItem.type === 'stay') {
-          const stay = trip.stays.id(relatedItem.itemId);
-          if (stay) {
-            stay.defaultAlbumId = createdAlbum._id;
-          }
+      if (relatedItem.type === 'segment') {
+        const segment = trip.segments.id(relatedItem.itemId);
+        if (segment) {
+          segment.defaultAlbumId = createdAlbum._id;
+        }
+      } else if (relatedItem.type === 'stay') {
+        const stay = trip.stays.id(relatedItem.itemId);
+        if (stay) {
+          stay.defaultAlbumId = createdAlbum._id;
         }
-        
-        await trip.save();
       }
+      
+      await trip.save();
     }
     
     res.status(201).json(createdAlbum);
@@ -255,7 +249,7 @@ router.post('/', async (req, res) => {
 
 // @desc    Create a default album for a segment or stay
 // @route   POST /api/albums/default/:tripId/:itemType/:itemId
-// @access  Public (would typically be Private with auth)
+// @access  Private (editor)
 router.post('/default/:tripId/:itemType/:itemId', async (req, res) => {
   try {
     const { tripId, itemType, itemId } = req.params;
@@ -266,9 +260,9 @@ router.post('/default/:tripId/:itemType/:itemId', async (req, res) => {
     }
     
     // Check if trip and item exist
-    const trip = await Trip.findById(tripId);
-    if (!trip) {
-      return res.status(404).json({ message: 'Trip not found' });
+    const { trip, error } = await findTripWithAccess(tripId, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
     
     let itemExists = false;
@@ -345,20 +339,25 @@ router.post('/default/:tripId/:itemType/:itemId', async (req, res) => {
 
 // @desc    Update an album
 // @route   PUT /api/albums/:id
-// @access  Public (would typically be Private with auth)
+// @access  Private (editor)
 router.put('/:id', async (req, res) => {
   try {
-    const { name, description, coverImageId } = req.body;
+    const { name, description, coverImageId, sortOrder } = req.body;
+
+    if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+      return res.status(400).json({ message: 'sortOrder must be a whole number' });
+    }
 
     // Find the album
-    const album = await Album.findById(req.params.id);
-    if (!album) {
-      return res.status(404).json({ message: 'Album not found' });
+    const { album, error } = await findAlbumWithAccess(req.params.id, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
 
     // Update fields
     if (name) album.name = name;
     if (description !== undefined) album.description = description;
+    if (sortOrder !== undefined) album.sortOrder = sortOrder;
     if (coverImageId) {
       // Validate that the coverImageId exists and belongs to this album
       const coverImage = await MediaItem.findOne({ 
@@ -393,13 +392,13 @@ router.put('/:id', async (req, res) => {
 
 // @desc    Delete an album and its media
 // @route   DELETE /api/albums/:id
-// @access  Public (would typically be Private with auth)
+// @access  Private (editor)
 router.delete('/:id', async (req, res) => {
   try {
     // Find the album
-    const album = await Album.findById(req.params.id);
-    if (!album) {
-      return res.status(404).json({ message: 'Album not found' });
+    const { album, error } = await findAlbumWithAccess(req.params.id, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
     
     // If this is a default album, check if there are other albums for this item
@@ -441,11 +440,11 @@ router.delete('/:id', async (req, res) => {
       }
     }
     
-    // Delete all media items in this album
-    await MediaItem.deleteMany({ albumId: album._id });
+    // Delete all media items in this album, with their stored files
+    await deleteMediaItems({ albumId: album._id });
     
     // Delete the album
-    await album.remove();
+    await album.deleteOne();
     
     res.json({ message: 'Album and all its media deleted' });
   } catch (error) {
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  signup,
+  login,
+  getMe
+} = require('../controllers/authController');
+
+router.post('/signup', signup);
+router.post('/login', login);
+router.get('/me', protect, getMe);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { getStorage, verifyFileSignature } = require('../storage');
+
+// @desc    Serve a stored media file through a signed, expiring URL
+// @route   GET /files/:key
+// @access  Signed URL
+router.get('/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!verifyFileSignature(key, expires, signature)) {
+      return res.status(403).json({ message: 'Invalid or expired link' });
+    }
+
+    const storage = getStorage();
+
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Private buckets hand out their own short-lived URL
+    if (storage.getPresignedUrl) {
+      const remaining = Math.max(1, Math.floor(Number(expires) - Date.now() / 1000));
+      return res.redirect(await storage.getPresignedUrl(key, remaining));
+    }
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.sendFile(path.resolve(storage.getFilePath(key)));
+  } catch (error) {
+    console.error(`Error serving file ${req.params.key}:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStaysNear,
+  getTripsWithin,
+  getPhotosNear
+} = require('../controllers/geoController');
+
+router.get('/stays/near', getStaysNear);
+router.get('/trips/within', getTripsWithin);
+router.get('/photos/near', getPhotosNear);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const {
+  getOrphans,
+  purgeOrphanedData
+} = require('../controllers/maintenanceController');
+
+router.use(requireAdmin);
+
+router.get('/orphans', getOrphans);
+router.post('/orphans/purge', purgeOrphanedData);
+
+module.exports = router;
@@ -2,21 +2,43 @@ const express = require('express');
 const router = express.Router();
 const MediaItem = require('../models/MediaItem');
 const Album = require('../models/Album');
+const Upload = require('../models/Upload');
+const { requireUser, allowShareToken } = require('../middleware/auth');
+const { findTripWithAccess, findAlbumWithAccess, findMediaItemWithAccess } = require('../utils/tripAccess');
+const { findMatchingItem } = require('../utils/photoPlacement');
+const { createDefaultAlbum } = require('../utils/defaultAlbums');
+const {
+  storeUploadedPhoto,
+  refreshStoredPhoto,
+  claimUploadedPhoto,
+  finishUploadClaim,
+  getMediaItemUrls,
+  deleteStoredFiles
+} = require('../utils/mediaFiles');
+const { TEMP_DIR, getStorage, resolveUrl } = require('../storage');
+const { parseListQuery, parseDateFilter, findPage } = require('../utils/listQuery');
+const { reorderDocuments } = require('../utils/ordering');
+const {
+  loadMediaBatch,
+  buildReport,
+  writeMediaBatch,
+  fixAlbumCovers
+} = require('../utils/bulkMedia');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { PassThrough } = require('stream');
 
-// Set up multer for file uploads
+// Set up multer for file uploads. Files land in a temp directory and are
+// moved into the configured storage backend once processed.
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads');
-    
     // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    if (!fs.existsSync(TEMP_DIR)) {
+      fs.mkdirSync(TEMP_DIR, { recursive: true });
     }
     
-    cb(null, uploadDir);
+    cb(null, TEMP_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -40,32 +62,174 @@ const upload = multer({
   }
 });
 
-// @desc    Upload photo
+// Maximum number of photos accepted in one album upload
+const MAX_BATCH_FILES = 200;
+const MAX_PHOTO_SIZE = 5 * 1024 * 1024; // 5MB max file size
+
+// Largest page of an album's media; also the default, so albums come back whole
+const MAX_ALBUM_MEDIA_PAGE = 1000;
+
+// Disk storage that stops writing a file once it passes MAX_PHOTO_SIZE and
+// marks it tooLarge, where multer's own fileSize limit would fail the whole
+// request and throw away the photos that were fine
+const sizeLimitedStorage = {
+  _handleFile: (req, file, cb) => {
+    const limited = new PassThrough();
+    let size = 0;
+    let tooLarge = false;
+
+    file.stream.on('data', (chunk) => {
+      if (tooLarge) return; // Keep reading so the rest of the request gets through
+      size += chunk.length;
+      if (size > MAX_PHOTO_SIZE) {
+        tooLarge = true;
+        limited.end();
+        file.stream.resume();
+      } else if (!limited.write(chunk)) {
+        file.stream.pause();
+        limited.once('drain', () => file.stream.resume());
+      }
+    });
+    file.stream.on('end', () => {
+      if (!tooLarge) limited.end();
+    });
+    file.stream.on('error', (error) => limited.destroy(error));
+
+    storage._handleFile(req, { ...file, stream: limited }, (error, info) => {
+      if (error || !tooLarge) return cb(error, info);
+      storage._removeFile(req, info, () => cb(null, { ...info, tooLarge: true }));
+    });
+  },
+  _removeFile: (req, file, cb) => storage._removeFile(req, file, cb)
+};
+
+// Batch uploads report rejected files per file instead of failing the request
+const albumUpload = multer({
+  storage: sizeLimitedStorage,
+  limits: {
+    files: MAX_BATCH_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      req.rejectedFiles = [...(req.rejectedFiles || []), file.originalname];
+      cb(null, false);
+    }
+  }
+});
+
+// @desc    Upload photo, optionally filing it into the matching segment or stay album
 // @route   POST /api/media/upload
-// @access  Public (would typically be Private with auth)
-router.post('/upload', upload.single('photo'), (req, res) => {
+// @access  Private (contributor on tripId when autoFile is set)
+router.post('/upload', requireUser, upload.single('photo'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
     
-    // Return the file path that can be accessed publicly
-    const filePath = `/uploads/${req.file.filename}`;
+    const { tripId, autoFile } = req.body;
+    let trip = null;
+    let mediaItem = null;
+    let placement = null;
+    
+    // Check access to the trip before storing anything
+    if (autoFile === 'true' && tripId) {
+      const access = await findTripWithAccess(tripId, req, 'contributor');
+      if (access.error) {
+        await fs.promises.rm(req.file.path, { force: true });
+        return res.status(access.error.status).json({ message: access.error.message });
+      }
+      trip = access.trip;
+    }
     
+    // Read capture time, GPS and camera details, generate resized derivatives
+    // and move everything into storage
+    const {
+      url: filePath,
+      takenAt,
+      captureDay,
+      coordinates,
+      metadata,
+      derivatives
+    } = await storeUploadedPhoto(req.file);
+    
+    if (trip) {
+      const match = findMatchingItem(trip, { captureDay, coordinates });
+      
+      if (match) {
+        let album = match.item.defaultAlbumId ? await Album.findById(match.item.defaultAlbumId) : null;
+        
+        // Create the item's default album if it doesn't have one yet
+        if (!album) {
+          album = await createDefaultAlbum(trip, match.itemType, match.item);
+          await trip.save();
+        }
+        
+        mediaItem = await new MediaItem({
+          albumId: album._id,
+          type: 'photo',
+          content: filePath,
+          takenAt,
+          metadata,
+          derivatives,
+          dateCreated: new Date()
+        }).save();
+        
+        // If the album has no cover image, set this as the cover
+        if (!album.coverImageId) {
+          album.coverImageId = mediaItem._id;
+        }
+        album.lastUpdated = new Date();
+        await album.save();
+        
+        placement = {
+          itemType: match.itemType,
+          itemId: match.item._id,
+          albumId: album._id
+        };
+      }
+    }
+    
+    // Until a media item uses it, the file can only be claimed by this user
+    if (!mediaItem) {
+      await Upload.create({
+        key: getStorage().keyFromUrl(filePath),
+        userId: req.user._id,
+        takenAt,
+        metadata,
+        derivatives
+      });
+    }
+    
+    // url is the reference to pass back when creating a media item;
+    // previewUrl and the derivative URLs are for display (signed for private storage)
     res.status(201).json({
       message: 'File uploaded successfully',
-      url: filePath
+      url: filePath,
+      previewUrl: resolveUrl(filePath),
+      takenAt,
+      metadata,
+      derivatives: derivatives.map(derivative => ({ ...derivative, url: resolveUrl(derivative.url) })),
+      mediaItem,
+      placement
     });
   } catch (error) {
     console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @desc    Get all media items for an album
+// @desc    Get media items for an album as { data, pagination }. Filters: ?type,
+//          ?from and ?to (capture time). Also ?sort and ?fields. Unlike other lists
+//          the whole album comes back in one page unless ?limit is given, up to
+//          MAX_ALBUM_MEDIA_PAGE items; reordering needs every item's ID.
 // @route   GET /api/media/album/:albumId
-// @access  Public (would typically be Private with auth)
-router.get('/album/:albumId', async (req, res) => {
+// @access  Private (viewer) or share link
+router.get('/album/:albumId', allowShareToken, async (req, res) => {
   try {
     const { albumId } = req.params;
     
@@ -75,16 +239,43 @@ router.get('/album/:albumId', async (req, res) => {
     }
     
     // Check if album exists
-    const album = await Album.findById(albumId);
-    if (!album) {
-      return res.status(404).json({ message: 'Album not found' });
+    const { album, error } = await findAlbumWithAccess(albumId, req, 'viewer');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
     
-    // Get all media items for this album
-    const mediaItems = await MediaItem.find({ albumId })
-      .sort({ sortOrder: 1, dateCreated: -1 }); // Sort by manual order, then by date
-    
-    res.json(mediaItems);
+    const options = parseListQuery(req.query, {
+      sortFields: ['sortOrder', 'dateCreated', 'takenAt', 'createdAt'],
+      defaultSort: { sortOrder: 1, dateCreated: -1 }, // Sort by manual order, then by date
+      defaultLimit: MAX_ALBUM_MEDIA_PAGE,
+      maxLimit: MAX_ALBUM_MEDIA_PAGE,
+      selectFields: [
+        'type', 'content', 'caption', 'dateCreated', 'takenAt', 'metadata', 'derivatives',
+        'sortOrder', 'albumId', 'geo', 'createdAt', 'updatedAt'
+      ]
+    });
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    // Photo URLs are only signed when the type is known
+    if (options.select) options.select += ' type';
+
+    const filter = { albumId: album._id };
+    if (req.query.type) filter.type = req.query.type;
+
+    const takenFrom = parseDateFilter(req.query.from);
+    const takenTo = parseDateFilter(req.query.to);
+    if (takenFrom === null || takenTo === null) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+    if (takenFrom || takenTo) {
+      filter.takenAt = {};
+      if (takenFrom) filter.takenAt.$gte = takenFrom;
+      if (takenTo) filter.takenAt.$lte = takenTo;
+    }
+
+    res.json(await findPage(MediaItem, filter, options));
   } catch (error) {
     console.error(`Error fetching media for album ${req.params.albumId}:`, error);
     res.status(500).json({ message: 'Server error' });
@@ -93,7 +284,7 @@ router.get('/album/:albumId', async (req, res) => {
 
 // @desc    Add media to an album
 // @route   POST /api/media/album/:albumId
-// @access  Public (would typically be Private with auth)
+// @access  Private (contributor)
 router.post('/album/:albumId', async (req, res) => {
   try {
     const { albumId } = req.params;
@@ -109,9 +300,9 @@ router.post('/album/:albumId', async (req, res) => {
     }
     
     // Check if album exists
-    const album = await Album.findById(albumId);
-    if (!album) {
-      return res.status(404).json({ message: 'Album not found' });
+    const { album, error } = await findAlbumWithAccess(albumId, req, 'contributor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
     
     // Create new media item
@@ -123,9 +314,44 @@ router.post('/album/:albumId', async (req, res) => {
       dateCreated: new Date()
     });
     
+    // Photos uploaded through /upload get their EXIF data and derivatives from storage
+    let claim = null;
+    if (type === 'photo') {
+      claim = await claimUploadedPhoto(content, req.user._id);
+      if (claim.error) {
+        return res.status(400).json({ message: claim.error });
+      }
+      mediaItem.content = claim.url;
+      
+      // Reuse what /upload generated; only uploads recorded without derivatives
+      // go through sharp again
+      const { upload } = claim;
+      if (upload && upload.derivatives.length > 0) {
+        mediaItem.takenAt = upload.takenAt;
+        mediaItem.metadata = upload.metadata;
+        mediaItem.derivatives = upload.derivatives.map(derivative => derivative.toObject());
+      } else if (upload) {
+        const storedPhoto = await refreshStoredPhoto(claim.url);
+        if (storedPhoto) {
+          mediaItem.takenAt = storedPhoto.takenAt;
+          mediaItem.metadata = storedPhoto.metadata;
+          mediaItem.derivatives = storedPhoto.derivatives;
+        }
+      }
+    }
+    
     // Save the media item
     const savedMediaItem = await mediaItem.save();
     
+    if (claim) {
+      const claimed = await finishUploadClaim(claim);
+      if (claimed.error) {
+        // Another request added this photo first and owns its files
+        await savedMediaItem.deleteOne();
+        return res.status(400).json({ message: claimed.error });
+      }
+    }
+    
     // If this is a photo and the album has no cover image, set this as the cover
     if (type === 'photo' && !album.coverImageId) {
       album.coverImageId = savedMediaItem._id;
@@ -143,15 +369,300 @@ router.post('/album/:albumId', async (req, res) => {
   }
 });
 
+// @desc    Upload many photos directly into an album
+// @route   POST /api/media/album/:albumId/upload
+// @access  Private (contributor)
+router.post('/album/:albumId/upload', async (req, res, next) => {
+  // Check access before multer writes anything to disk
+  try {
+    const { album, error } = await findAlbumWithAccess(req.params.albumId, req, 'contributor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    
+    req.album = album;
+    next();
+  } catch (error) {
+    console.error(`Error uploading to album ${req.params.albumId}:`, error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+}, (req, res, next) => {
+  // Limits that apply to the whole request are a client error, not a 500
+  albumUpload.array('photos', MAX_BATCH_FILES)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_COUNT'
+        ? `At most ${MAX_BATCH_FILES} photos can be uploaded at once`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    next(error);
+  });
+}, async (req, res) => {
+  try {
+    const album = req.album;
+    const receivedFiles = req.files || [];
+    const files = receivedFiles.filter(file => !file.tooLarge);
+    const oversizedFiles = receivedFiles.filter(file => file.tooLarge);
+    const rejectedFiles = req.rejectedFiles || [];
+    
+    if (receivedFiles.length === 0 && rejectedFiles.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+    
+    const results = [
+      ...rejectedFiles.map(file => ({
+        file,
+        success: false,
+        error: 'Only image files are allowed'
+      })),
+      ...oversizedFiles.map(file => ({
+        file: file.originalname,
+        success: false,
+        error: `File is larger than ${MAX_PHOTO_SIZE / (1024 * 1024)}MB`
+      }))
+    ];
+    
+    // Each file either becomes a MediaItem or is removed from storage again
+    for (const file of files) {
+      let processed = null;
+      
+      try {
+        processed = await storeUploadedPhoto(file);
+        
+        const mediaItem = await new MediaItem({
+          albumId: album._id,
+          type: 'photo',
+          content: processed.url,
+          takenAt: processed.takenAt,
+          metadata: processed.metadata,
+          derivatives: processed.derivatives,
+          dateCreated: new Date()
+        }).save();
+        
+        results.push({ file: file.originalname, success: true, mediaItem });
+      } catch (error) {
+        console.error(`Error adding ${file.originalname} to album ${album._id}:`, error);
+        if (processed) {
+          await deleteStoredFiles([processed.url, ...processed.derivatives.map(d => d.url)]);
+        }
+        results.push({ file: file.originalname, success: false, error: error.message });
+      }
+    }
+    
+    const created = results.filter(result => result.success);
+    
+    // If the album has no cover image, use the first uploaded photo
+    if (created.length > 0 && !album.coverImageId) {
+      album.coverImageId = created[0].mediaItem._id;
+    }
+    
+    // Update the lastUpdated timestamp on the album
+    album.lastUpdated = new Date();
+    await album.save();
+    
+    res.status(created.length > 0 ? 201 : 400).json({
+      albumId: album._id,
+      uploaded: created.length,
+      failed: results.length - created.length,
+      results
+    });
+  } catch (error) {
+    console.error(`Error uploading to album ${req.params.albumId}:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Reorder an album's media. Body: { mediaItemIds: [...] } listing
+//          every item in the album in its new order. 409 if the album's media
+//          changed while the order was written; the old order is kept.
+// @route   PUT /api/media/album/:albumId/order
+// @access  Private (editor)
+router.put('/album/:albumId/order', async (req, res) => {
+  try {
+    const { mediaItemIds } = req.body || {};
+
+    const { album, error } = await findAlbumWithAccess(req.params.albumId, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const { updated, error: orderError } = await reorderDocuments(
+      MediaItem, mediaItemIds, { albumId: album._id }, 'media item'
+    );
+    if (orderError) {
+      return res.status(orderError.status).json({ message: orderError.message });
+    }
+
+    await Album.updateOne({ _id: album._id }, { lastUpdated: new Date() });
+
+    res.json({ albumId: album._id, mediaItemIds, updated });
+  } catch (error) {
+    console.error(`Error reordering media for album ${req.params.albumId}:`, error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Move media items from any albums into one album.
+//          Body: { mediaItemIds: [...], targetAlbumId }
+// @route   POST /api/media/bulk/move
+// @access  Private (editor on the items' trips and the target album's trip)
+router.post('/bulk/move', async (req, res) => {
+  try {
+    const { mediaItemIds, targetAlbumId } = req.body || {};
+
+    const { album: targetAlbum, error } = await findAlbumWithAccess(targetAlbumId, req, 'editor');
+    if (error) {
+      const message = error.status === 404 ? 'Target album not found' : error.message;
+      return res.status(error.status).json({ message });
+    }
+
+    const { mediaItems, results, error: batchError } = await loadMediaBatch(mediaItemIds, req, 'editor');
+    if (batchError) {
+      return res.status(400).json({ message: batchError });
+    }
+
+    const toMove = [];
+    mediaItems.forEach(mediaItem => {
+      const id = mediaItem._id.toString();
+      if (mediaItem.albumId.equals(targetAlbum._id)) {
+        results.set(id, { id, status: 'skipped', message: 'Already in the target album' });
+      } else {
+        toMove.push(mediaItem);
+      }
+    });
+
+    if (toMove.length > 0) {
+      const moved = await writeMediaBatch(toMove, results, {
+        write: (items, session) => MediaItem.updateMany(
+          { _id: { $in: items.map(mediaItem => mediaItem._id) } },
+          { albumId: targetAlbum._id },
+          { session }
+        ),
+        finish: (items, session) =>
+          fixAlbumCovers([...items.map(mediaItem => mediaItem.albumId), targetAlbum._id], session)
+      });
+
+      moved.forEach(mediaItem => {
+        const id = mediaItem._id.toString();
+        results.set(id, { id, status: 'moved', oldAlbumId: mediaItem.albumId });
+      });
+    }
+
+    res.json({ targetAlbumId: targetAlbum._id, ...buildReport(results) });
+  } catch (error) {
+    console.error('Error moving media items:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Target album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete media items from any albums. Body: { mediaItemIds: [...] }
+// @route   POST /api/media/bulk/delete
+// @access  Private (editor)
+router.post('/bulk/delete', async (req, res) => {
+  try {
+    const { mediaItemIds } = req.body || {};
+
+    const { mediaItems, results, error } = await loadMediaBatch(mediaItemIds, req, 'editor');
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (mediaItems.length > 0) {
+      const deleted = await writeMediaBatch(mediaItems, results, {
+        write: (items, session) => MediaItem.deleteMany(
+          { _id: { $in: items.map(mediaItem => mediaItem._id) } },
+          { session }
+        ),
+        finish: (items, session) => fixAlbumCovers(items.map(mediaItem => mediaItem.albumId), session)
+      });
+
+      // Files can't be rolled back, so only remove them once the documents
+      // are gone. Anything left behind is picked up by cleanupOrphans.js.
+      for (const mediaItem of deleted) {
+        const id = mediaItem._id.toString();
+        try {
+          await deleteStoredFiles(getMediaItemUrls(mediaItem));
+          results.set(id, { id, status: 'deleted' });
+        } catch (fileError) {
+          console.error(`Error deleting files for media item ${id}:`, fileError);
+          results.set(id, { id, status: 'deleted', message: 'Stored files could not be removed' });
+        }
+      }
+    }
+
+    res.json(buildReport(results));
+  } catch (error) {
+    console.error('Error deleting media items:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Set the captions of media items from any albums.
+//          Body: { items: [{ id, caption }, ...] }; an empty caption clears it.
+// @route   POST /api/media/bulk/caption
+// @access  Private (editor)
+router.post('/bulk/caption', async (req, res) => {
+  try {
+    const { items } = req.body || {};
+
+    if (!Array.isArray(items) || items.some(item => !item || typeof item.caption !== 'string')) {
+      return res.status(400).json({ message: 'Please provide items as [{ id, caption }] with a caption string for each' });
+    }
+
+    // A repeated ID takes its last caption
+    const captions = new Map(items.map(item => [String(item.id), item.caption.trim()]));
+
+    const { mediaItems, results, error } = await loadMediaBatch([...captions.keys()], req, 'editor');
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (mediaItems.length > 0) {
+      const updated = await writeMediaBatch(mediaItems, results, {
+        write: (items, session) => MediaItem.bulkWrite(items.map(mediaItem => ({
+          updateOne: {
+            filter: { _id: mediaItem._id },
+            update: { $set: { caption: captions.get(mediaItem._id.toString()) } }
+          }
+        })), { session }),
+        finish: (items, session) => Album.updateMany(
+          { _id: { $in: items.map(mediaItem => mediaItem.albumId) } },
+          { lastUpdated: new Date() },
+          { session }
+        )
+      });
+
+      updated.forEach(mediaItem => {
+        const id = mediaItem._id.toString();
+        results.set(id, { id, status: 'updated', caption: captions.get(id) });
+      });
+    }
+
+    res.json(buildReport(results));
+  } catch (error) {
+    console.error('Error updating media captions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get a single media item
 // @route   GET /api/media/:id
-// @access  Public (would typically be Private with auth)
-router.get('/:id', async (req, res) => {
+// @access  Private (viewer) or share link
+router.get('/:id', allowShareToken, async (req, res) => {
   try {
-    const mediaItem = await MediaItem.findById(req.params.id);
+    const { mediaItem, error } = await findMediaItemWithAccess(req.params.id, req, 'viewer');
     
-    if (!mediaItem) {
-      return res.status(404).json({ message: 'Media item not found' });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
     
     res.json(mediaItem);
@@ -166,15 +677,19 @@ router.get('/:id', async (req, res) => {
 
 // @desc    Update a media item
 // @route   PUT /api/media/:id
-// @access  Public (would typically be Private with auth)
+// @access  Private (editor)
 router.put('/:id', async (req, res) => {
   try {
     const { caption, sortOrder } = req.body;
     
+    if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+      return res.status(400).json({ message: 'sortOrder must be a whole number' });
+    }
+    
     // Find the media item
-    const mediaItem = await MediaItem.findById(req.params.id);
-    if (!mediaItem) {
-      return res.status(404).json({ message: 'Media item not found' });
+    const { mediaItem, error } = await findMediaItemWithAccess(req.params.id, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
     
     // Update fields
@@ -184,12 +699,8 @@ router.put('/:id', async (req, res) => {
     // Save the updated media item
     const updatedMediaItem = await mediaItem.save();
     
-    // Update the lastUpdated timestamp on the album
-    const album = await Album.findById(mediaItem.albumId);
-    if (album) {
-      album.lastUpdated = new Date();
-      await album.save();
-    }
+    // Touch the album without loading and saving it
+    await Album.updateOne({ _id: mediaItem.albumId }, { lastUpdated: new Date() });
     
     res.json(updatedMediaItem);
   } catch (error) {
@@ -203,53 +714,23 @@ router.put('/:id', async (req, res) => {
 
 // @desc    Delete a media item
 // @route   DELETE /api/media/:id
-// @access  Public (would typically be Private with auth)
+// @access  Private (editor)
 router.delete('/:id', async (req, res) => {
   try {
     // Find the media item
-    const mediaItem = await MediaItem.findById(req.params.id);
-    if (!mediaItem) {
-      return res.status(404).json({ message: 'Media item not found' });
-    }
-    
-    // Store the albumId before deletion
-    const albumId = mediaItem.albumId;
-    
-    // If this is a photo and it's used as a cover image, update the album
-    const album = await Album.findById(albumId);
-    if (album && album.coverImageId && album.coverImageId.toString() === req.params.id) {
-      // Find another photo to use as cover
-      const anotherPhoto = await MediaItem.findOne({
-        albumId,
-        type: 'photo',
-        _id: { $ne: req.params.id }
-      });
-      
-      if (anotherPhoto) {
-        album.coverImageId = anotherPhoto._id;
-      } else {
-        album.coverImageId = null;
-      }
-      
-      await album.save();
-    }
-    
-    // If it's a photo, delete the file from disk
-    if (mediaItem.type === 'photo' && mediaItem.content.startsWith('/uploads/')) {
-      const filePath = path.join(__dirname, '..', mediaItem.content);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
+    const { mediaItem, error } = await findMediaItemWithAccess(req.params.id, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
     
     // Delete the media item
-    await mediaItem.remove();
+    await mediaItem.deleteOne();
     
-    // Update the lastUpdated timestamp on the album
-    if (album) {
-      album.lastUpdated = new Date();
-      await album.save();
-    }
+    // If it's a photo, delete the file and its derivatives from storage
+    await deleteStoredFiles(getMediaItemUrls(mediaItem));
+    
+    // Replace the album's cover if this was it, and touch the album
+    await fixAlbumCovers([mediaItem.albumId]);
     
     res.json({ message: 'Media item deleted' });
   } catch (error) {
@@ -263,62 +744,31 @@ router.delete('/:id', async (req, res) => {
 
 // @desc    Move media item to another album
 // @route   PUT /api/media/:id/move/:targetAlbumId
-// @access  Public (would typically be Private with auth)
+// @access  Private (editor)
 router.put('/:id/move/:targetAlbumId', async (req, res) => {
   try {
     const { id, targetAlbumId } = req.params;
     
     // Find the media item
-    const mediaItem = await MediaItem.findById(id);
-    if (!mediaItem) {
-      return res.status(404).json({ message: 'Media item not found' });
+    const { mediaItem, error } = await findMediaItemWithAccess(id, req, 'editor');
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
     
     // Check if target album exists
-    const targetAlbum = await Album.findById(targetAlbumId);
-    if (!targetAlbum) {
-      return res.status(404).json({ message: 'Target album not found' });
-    }
-    
-    // Check if this is a cover image for the current album
-    const sourceAlbum = await Album.findById(mediaItem.albumId);
-    if (sourceAlbum && sourceAlbum.coverImageId && sourceAlbum.coverImageId.toString() === id) {
-      // Find another photo to use as cover
-      const anotherPhoto = await MediaItem.findOne({
-        albumId: mediaItem.albumId,
-        type: 'photo',
-        _id: { $ne: id }
-      });
-      
-      if (anotherPhoto) {
-        sourceAlbum.coverImageId = anotherPhoto._id;
-      } else {
-        sourceAlbum.coverImageId = null;
-      }
-      
-      sourceAlbum.lastUpdated = new Date();
-      await sourceAlbum.save();
+    const { album: targetAlbum, error: targetError } = await findAlbumWithAccess(targetAlbumId, req, 'editor');
+    if (targetError) {
+      const message = targetError.status === 404 ? 'Target album not found' : targetError.message;
+      return res.status(targetError.status).json({ message });
     }
     
     // Update the media item with the new album ID
     const oldAlbumId = mediaItem.albumId;
-    mediaItem.albumId = targetAlbumId;
+    mediaItem.albumId = targetAlbum._id;
     const updatedMediaItem = await mediaItem.save();
     
-    // Update the lastUpdated timestamp on both albums
-    if (sourceAlbum) {
-      sourceAlbum.lastUpdated = new Date();
-      await sourceAlbum.save();
-    }
-    
-    targetAlbum.lastUpdated = new Date();
-    
-    // If the target album has no cover image and this is a photo, set it as cover
-    if (mediaItem.type === 'photo' && !targetAlbum.coverImageId) {
-      targetAlbum.coverImageId = mediaItem._id;
-    }
-    
-    await targetAlbum.save();
+    // Fix the covers and lastUpdated of both albums
+    await fixAlbumCovers([oldAlbumId, targetAlbum._id]);
     
     res.json({
       message: 'Media item moved to new album',
@@ -1,24 +1,163 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { TEMP_DIR } = require('../storage');
+const { requireUser, allowShareToken } = require('../middleware/auth');
 const {
   getTrips,
   getTripById,
   createTrip,
   updateTrip,
   deleteTrip,
-  importJapanTrip
+  getTripCalendar,
+  getTripGeoJSON,
+  getTripStats,
+  validateTrip,
+  getTripTimeline,
+  importTrip,
+  backupTrip,
+  restoreTrip,
+  cloneTrip
 } = require('../controllers/tripController');
+const {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  getCollaborators,
+  addCollaborator,
+  removeCollaborator
+} = require('../controllers/shareController');
+const {
+  addSegment,
+  updateSegment,
+  deleteSegment,
+  addStay,
+  updateStay,
+  deleteStay
+} = require('../controllers/itineraryController');
+const {
+  getExpenses,
+  getExpenseSummary,
+  getExpenseById,
+  createExpense,
+  updateExpense,
+  deleteExpense
+} = require('../controllers/expenseController');
+
+// Trip documents are parsed straight from memory, never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB max trip document
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept only JSON documents
+    if (file.mimetype === 'application/json' || file.originalname.endsWith('.json')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON files are allowed'));
+    }
+  }
+});
+
+// Backups can hold a whole trip's photos, so they go to a temp file
+const restoreUpload = multer({
+  storage: multer.diskStorage({
+    destination: TEMP_DIR,
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, `backup-${uniqueSuffix}.zip`);
+    }
+  }),
+  limits: {
+    fileSize: 2 * 1024 * 1024 * 1024, // 2GB max backup
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept only ZIP archives
+    if (['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+        path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only ZIP archives are allowed'));
+    }
+  }
+});
 
 router.route('/')
-  .get(getTrips)
-  .post(createTrip);
+  .get(requireUser, getTrips)
+  .post(requireUser, createTrip);
+
+router.route('/import')
+  .post(requireUser, importUpload.single('file'), importTrip);
+
+router.route('/restore')
+  .post(requireUser, restoreUpload.single('file'), restoreTrip);
 
 router.route('/:id')
-  .get(getTripById)
+  .get(allowShareToken, getTripById)
   .put(updateTrip)
   .delete(deleteTrip);
 
-router.route('/import/japan')
-  .post(importJapanTrip);
+router.route('/:id/segments')
+  .post(addSegment);
+
+router.route('/:id/segments/:itemId')
+  .put(updateSegment)
+  .delete(deleteSegment);
+
+router.route('/:id/stays')
+  .post(addStay);
+
+router.route('/:id/stays/:itemId')
+  .put(updateStay)
+  .delete(deleteStay);
+
+router.route('/:id/calendar.ics')
+  .get(getTripCalendar);
+
+router.route('/:id/geojson')
+  .get(getTripGeoJSON);
+
+router.route('/:id/stats')
+  .get(getTripStats);
+
+router.route('/:id/validate')
+  .get(validateTrip);
+
+router.route('/:id/timeline')
+  .get(getTripTimeline);
+
+router.route('/:id/backup')
+  .get(backupTrip);
+
+router.route('/:id/clone')
+  .post(requireUser, cloneTrip);
+
+router.route('/:id/expenses')
+  .get(getExpenses)
+  .post(createExpense);
+
+router.route('/:id/expenses/summary')
+  .get(getExpenseSummary);
+
+router.route('/:id/expenses/:expenseId')
+  .get(getExpenseById)
+  .put(updateExpense)
+  .delete(deleteExpense);
+
+router.route('/:id/share')
+  .get(getShareLinks)
+  .post(createShareLink);
+
+router.route('/:id/share/:linkId')
+  .delete(revokeShareLink);
+
+router.route('/:id/collaborators')
+  .get(getCollaborators)
+  .post(addCollaborator);
+
+router.route('/:id/collaborators/:userId')
+  .delete(removeCollaborator);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
-const path = require('path');
 const connectDB = require('./config/db');
+const { protect, authenticate } = require('./middleware/auth');
+const { getStorage, isPrivate } = require('./storage');
 
 // Load environment variables
 dotenv.config();
@@ -17,13 +18,22 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve media files. Local files are public under /uploads unless storage is
+// private; signed URLs for private media are served under /files.
+const storage = getStorage();
+if (storage.name === 'local' && !isPrivate()) {
+  app.use('/uploads', express.static(storage.directory));
+}
+app.use('/files', require('./routes/fileRoutes'));
 
 // Routes
-app.use('/api/trips', require('./routes/tripRoutes'));
-app.use('/api/media', require('./routes/mediaRoutes'));
-app.use('/api/albums', require('./routes/albumRoutes')); // New album routes
+app.use('/api/auth', require('./routes/authRoutes'));
+app.use('/api/trips', authenticate, require('./routes/tripRoutes'));
+app.use('/api/media', authenticate, require('./routes/mediaRoutes'));
+app.use('/api/albums', authenticate, require('./routes/albumRoutes')); // New album routes
+app.use('/api/search', protect, require('./routes/searchRoutes'));
+app.use('/api/geo', protect, require('./routes/geoRoutes'));
+app.use('/api/maintenance', protect, require('./routes/maintenanceRoutes'));
 
 // Root route for API health check
 app.get('/', (req, res) => {
@@ -31,9 +41,12 @@ app.get('/', (req, res) => {
     message: 'Travel API is running',
     version: '2.0.0', // Updated version for album-centric architecture
     endpoints: [
+      '/api/auth',
       '/api/trips',
       '/api/media',
-      '/api/albums'
+      '/api/albums',
+      '/api/search',
+      '/api/geo'
     ]
   });
 });
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+// Storage backends for media files, configured by environment:
+//
+//   STORAGE_DRIVER          local (default) or s3
+//   STORAGE_PRIVATE         'true' to hand out signed, expiring URLs instead of public ones
+//   STORAGE_SIGNING_SECRET  secret for signed URLs (defaults to JWT_SECRET)
+//   STORAGE_URL_TTL         lifetime of signed URLs in seconds (default 3600)
+//   LOCAL_STORAGE_DIR       directory for the local driver (default ./uploads)
+//   S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE,
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL
+//
+// MediaItem.content always holds the driver's public URL; in private mode
+// responses swap it for a signed /files/ URL via resolveUrl.
+
+const TEMP_DIR = path.join(os.tmpdir(), 'travel-api-uploads');
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        directory: process.env.LOCAL_STORAGE_DIR
+          ? path.resolve(process.env.LOCAL_STORAGE_DIR)
+          : path.join(__dirname, '../uploads')
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+// The storage backend configured for this process
+let storage = null;
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+const isPrivate = () => process.env.STORAGE_PRIVATE === 'true';
+
+const getSigningSecret = () => {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('STORAGE_SIGNING_SECRET or JWT_SECRET must be set for private storage');
+  }
+  return secret;
+};
+
+const signKey = (key, expires) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(`${key}:${expires}`)
+  .digest('hex');
+
+/**
+ * Build a signed, expiring URL served by the /files route
+ */
+const getSignedFileUrl = (key, ttl = Number(process.env.STORAGE_URL_TTL) || 3600) => {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  return `/files/${encodeURIComponent(key)}?expires=${expires}&signature=${signKey(key, expires)}`;
+};
+
+const verifyFileSignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(signKey(key, expires));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * URL to hand to clients for a stored media URL: unchanged in public mode,
+ * signed in private mode. URLs from other backends pass through untouched.
+ */
+const resolveUrl = (url) => {
+  if (!isPrivate()) return url;
+
+  const key = getStorage().keyFromUrl(url);
+  return key ? getSignedFileUrl(key) : url;
+};
+
+// Path for a new temporary file
+const getTempPath = (name) => {
+  fs.mkdirSync(TEMP_DIR, { recursive: true });
+  return path.join(TEMP_DIR, `${Date.now()}-${Math.round(Math.random() * 1E9)}-${path.basename(name)}`);
+};
+
+// Copy a stored file to a local path
+const downloadToFile = async (backend, key, destination) => {
+  const stream = await backend.createReadStream(key);
+  await pipeline(stream, fs.createWriteStream(destination));
+};
+
+/**
+ * Run callback with a local path to a stored file. The local driver hands
+ * over the file itself, so callers must treat it as read-only; other drivers
+ * download a temporary copy that's removed afterwards.
+ */
+const withLocalFile = async (backend, key, callback) => {
+  if (backend.getFilePath) {
+    return callback(backend.getFilePath(key));
+  }
+
+  const tempPath = getTempPath(key);
+  try {
+    await downloadToFile(backend, key, tempPath);
+    return await callback(tempPath);
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+};
+
+module.exports = {
+  TEMP_DIR,
+  createStorage,
+  getStorage,
+  isPrivate,
+  getSignedFileUrl,
+  verifyFileSignature,
+  resolveUrl,
+  getTempPath,
+  downloadToFile,
+  withLocalFile
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local-disk storage driver. Keys are flat file names inside one directory,
+ * served publicly under baseUrl by express.static.
+ */
+const createLocalStorage = ({ directory, baseUrl = '/uploads' }) => {
+  // Keys never contain directories, which also guards against path traversal
+  const getFilePath = (key) => path.join(directory, path.basename(key));
+
+  const ensureDirectory = async () => {
+    await fs.promises.mkdir(directory, { recursive: true });
+  };
+
+  return {
+    name: 'local',
+    directory,
+
+    getFilePath,
+
+    // Move a local file into storage
+    saveFile: async (key, sourcePath) => {
+      const destination = getFilePath(key);
+      if (path.resolve(sourcePath) === path.resolve(destination)) return;
+
+      await ensureDirectory();
+      try {
+        await fs.promises.rename(sourcePath, destination);
+      } catch (error) {
+        // Temp directories are often on another filesystem
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(sourcePath, destination);
+        await fs.promises.unlink(sourcePath);
+      }
+    },
+
+    createReadStream: async (key) => fs.createReadStream(getFilePath(key)),
+
+    deleteFile: async (key) => {
+      try {
+        await fs.promises.unlink(getFilePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    exists: async (key) => fs.existsSync(getFilePath(key)),
+
+    // Every stored file as { key, lastModified }
+    listFiles: async () => {
+      if (!fs.existsSync(directory)) return [];
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+
+      return Promise.all(entries
+        .filter(entry => entry.isFile())
+        .map(async (entry) => {
+          const { mtime } = await fs.promises.stat(getFilePath(entry.name));
+          return { key: entry.name, lastModified: mtime };
+        }));
+    },
+
+    getPublicUrl: (key) => `${baseUrl}/${key}`,
+
+    // Key for a URL produced by getPublicUrl, or null if it points elsewhere
+    keyFromUrl: (url) => {
+      if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) return null;
+      return path.basename(url.slice(baseUrl.length + 1));
+    }
+  };
+};
+
+module.exports = createLocalStorage;
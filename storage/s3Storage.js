@@ -0,0 +1,116 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-compatible storage driver. Works against AWS S3 or any compatible
+ * server (MinIO and friends) by setting endpoint and forcePathStyle.
+ */
+const createS3Storage = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = false,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl
+}) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // Base URL objects are publicly reachable at
+  let baseUrl = publicUrl;
+  if (!baseUrl) {
+    baseUrl = endpoint
+      ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+  }
+  baseUrl = baseUrl.replace(/\/+$/, '');
+
+  const putObject = (key, body, contentType, contentLength) => client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: body,
+    ContentType: contentType,
+    ContentLength: contentLength
+  }));
+
+  return {
+    name: 's3',
+    bucket,
+
+    // Upload a local file and remove it afterwards
+    saveFile: async (key, sourcePath, contentType) => {
+      const { size } = await fs.promises.stat(sourcePath);
+      await putObject(key, fs.createReadStream(sourcePath), contentType, size);
+      await fs.promises.unlink(sourcePath);
+    },
+
+    createReadStream: async (key) => {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body;
+    },
+
+    deleteFile: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    // Every stored object as { key, lastModified }
+    listFiles: async () => {
+      const files = [];
+      let ContinuationToken;
+
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, ContinuationToken }));
+        (page.Contents || []).forEach(object => files.push({ key: object.Key, lastModified: object.LastModified }));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+
+      return files;
+    },
+
+    getPublicUrl: (key) => `${baseUrl}/${encodeURI(key)}`,
+
+    // Key for a URL produced by getPublicUrl, or null if it points elsewhere
+    keyFromUrl: (url) => {
+      if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) return null;
+      return decodeURI(url.slice(baseUrl.length + 1));
+    },
+
+    // Time-limited URL straight to the object, for private buckets
+    getPresignedUrl: (key, expiresIn) => getSignedUrl(
+      client,
+      new GetObjectCommand({ Bucket: bucket, Key: key }),
+      { expiresIn }
+    )
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,88 @@
+const path = require('path');
+const { getStorage } = require('../storage');
+const { toFileName, createZipArchive } = require('./zipArchive');
+
+// ZIP export of a single album for GET /api/albums/:id/export.zip:
+//
+//   001-Arrival at the ryokan.jpg   photos, straight from storage
+//   002-Dinner.md                   notes, as Markdown
+//   manifest.json                   album, related item and per-item details
+//
+// Files are numbered in album order so they sort the same way on disk.
+
+const toMarkdown = (mediaItem) => {
+  const title = mediaItem.caption ? mediaItem.caption.trim() : 'Note';
+  return `# ${title}\n\n${mediaItem.content.trim()}\n`;
+};
+
+/**
+ * Plan the archive for an album's media, given in album order. Resolves to
+ * { entries, manifest }: entries describe each file to write and the manifest
+ * lists every item, with file set to null for photos whose file isn't in
+ * storage. Checking files up front means a missing one can't break the ZIP
+ * halfway through the download.
+ */
+const planAlbumArchive = async (album, relatedItemInfo, mediaItems) => {
+  const storage = getStorage();
+  const width = Math.max(3, String(mediaItems.length).length);
+
+  const entries = [];
+  const items = [];
+
+  for (const [index, mediaItem] of mediaItems.entries()) {
+    const number = String(index + 1).padStart(width, '0');
+    let file = null;
+
+    if (mediaItem.type === 'note') {
+      file = `${number}-${toFileName(mediaItem.caption, 'note')}.md`;
+      entries.push({ file, buffer: Buffer.from(toMarkdown(mediaItem)) });
+    } else {
+      const key = storage.keyFromUrl(mediaItem.content);
+      if (key && await storage.exists(key)) {
+        const extension = path.extname(key).toLowerCase() || '.jpg';
+        file = `${number}-${toFileName(mediaItem.caption, 'photo')}${extension}`;
+        entries.push({ file, key, mtime: mediaItem.takenAt || mediaItem.dateCreated });
+      }
+    }
+
+    items.push({
+      file,
+      id: mediaItem._id,
+      type: mediaItem.type,
+      caption: mediaItem.caption || null,
+      sortOrder: mediaItem.sortOrder,
+      takenAt: mediaItem.takenAt || null,
+      dateCreated: mediaItem.dateCreated,
+      metadata: Object.fromEntries(mediaItem.metadata || [])
+    });
+  }
+
+  const manifest = {
+    exportedAt: new Date(),
+    album: {
+      id: album._id,
+      name: album.name,
+      description: album.description || null,
+      tripId: album.tripId,
+      relatedItem: album.relatedItem,
+      relatedItemInfo
+    },
+    items
+  };
+
+  return { entries, manifest };
+};
+
+/**
+ * Build the ZIP for a plan from planAlbumArchive. Returns a yazl ZipFile;
+ * pipe its outputStream to the response.
+ */
+const createAlbumArchive = ({ entries, manifest }) => createZipArchive([
+  ...entries,
+  { file: 'manifest.json', buffer: Buffer.from(JSON.stringify(manifest, null, 2)) }
+]);
+
+module.exports = {
+  planAlbumArchive,
+  createAlbumArchive
+};
@@ -0,0 +1,84 @@
+const Album = require('../models/Album');
+const MediaItem = require('../models/MediaItem');
+
+// Album listings with media counts and cover images, built in one aggregation
+// so a request costs the same number of queries however many albums a trip has
+
+// Order of media within an album, matching GET /api/albums/:id
+const ALBUM_MEDIA_SORT = { sortOrder: 1, dateCreated: -1 };
+
+/**
+ * List albums matching a filter, each with photoCount, noteCount, totalItems
+ * and coverImage. The cover is the album's coverImageId if that photo is
+ * still in the album, otherwise its first photo, otherwise null.
+ * Runs a single aggregate query.
+ */
+const listAlbumsWithDetails = async (filter) => {
+  const mediaCollection = MediaItem.collection.name;
+
+  const results = await Album.aggregate([
+    { $match: filter },
+    { $sort: { sortOrder: 1, _id: 1 } },
+    {
+      $lookup: {
+        from: mediaCollection,
+        let: { albumId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$albumId', '$$albumId'] } } },
+          {
+            $group: {
+              _id: null,
+              photoCount: { $sum: { $cond: [{ $eq: ['$type', 'photo'] }, 1, 0] } },
+              noteCount: { $sum: { $cond: [{ $eq: ['$type', 'note'] }, 1, 0] } }
+            }
+          }
+        ],
+        as: 'counts'
+      }
+    },
+    {
+      $lookup: {
+        from: mediaCollection,
+        let: { albumId: '$_id', coverImageId: '$coverImageId' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$albumId', '$$albumId'] },
+                  { $eq: ['$type', 'photo'] }
+                ]
+              }
+            }
+          },
+          // The chosen cover sorts first, then photos in album order
+          { $addFields: { isCover: { $eq: ['$_id', '$$coverImageId'] } } },
+          { $sort: { isCover: -1, ...ALBUM_MEDIA_SORT } },
+          { $limit: 1 },
+          { $project: { isCover: 0 } }
+        ],
+        as: 'cover'
+      }
+    }
+  ]);
+
+  // Aggregation skips the models' toJSON, so hydrate to keep virtuals and
+  // signed photo URLs
+  return results.map(({ counts, cover, ...album }) => {
+    const photoCount = counts.length > 0 ? counts[0].photoCount : 0;
+    const noteCount = counts.length > 0 ? counts[0].noteCount : 0;
+
+    return {
+      ...Album.hydrate(album).toObject(),
+      photoCount,
+      noteCount,
+      totalItems: photoCount + noteCount,
+      coverImage: cover.length > 0 ? MediaItem.hydrate(cover[0]).toJSON() : null
+    };
+  });
+};
+
+module.exports = {
+  ALBUM_MEDIA_SORT,
+  listAlbumsWithDetails
+};
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const Album = require('../models/Album');
+const MediaItem = require('../models/MediaItem');
+const { hasRole, getTripRole } = require('./tripAccess');
+const { ALBUM_MEDIA_SORT } = require('./albumListing');
+
+// Batch operations on media items from any number of albums. Each request
+// loads and checks every item up front, then applies the changes to the
+// items that passed (in one transaction where MongoDB supports it) and
+// reports a result per item:
+//
+//   { id, status: 'moved' | 'deleted' | 'updated' | 'skipped' | 'failed', message? }
+
+const MAX_BULK_ITEMS = 500;
+
+/**
+ * Load the media items behind a list of IDs and check the request holds
+ * requiredRole on each item's trip. Resolves to { mediaItems, results }:
+ * the items that may be changed, and a Map of results keyed by ID in request
+ * order, holding a 'failed' result for every ID that may not be changed and
+ * null for the rest. Resolves to { error } if ids isn't usable.
+ */
+const loadMediaBatch = async (ids, req, requiredRole) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: 'Please provide an array of media item IDs' };
+  }
+  if (ids.length > MAX_BULK_ITEMS) {
+    return { error: `At most ${MAX_BULK_ITEMS} media items can be changed at once` };
+  }
+
+  const requested = [...new Set(ids.map(String))];
+  const validIds = requested.filter(id => mongoose.isValidObjectId(id));
+
+  const found = await MediaItem.find({ _id: { $in: validIds } });
+  const albums = await Album.find({ _id: { $in: found.map(item => item.albumId) } }).select('tripId');
+  const trips = await Trip.find({ _id: { $in: albums.map(album => album.tripId) } })
+    .select('ownerId collaborators shareLinks');
+
+  const itemsById = new Map(found.map(item => [item._id.toString(), item]));
+  const tripIdByAlbum = new Map(albums.map(album => [album._id.toString(), album.tripId.toString()]));
+  const tripsById = new Map(trips.map(trip => [trip._id.toString(), trip]));
+
+  const mediaItems = [];
+  const results = new Map(requested.map(id => [id, null]));
+
+  for (const id of requested) {
+    const mediaItem = itemsById.get(id);
+    const trip = mediaItem && tripsById.get(tripIdByAlbum.get(mediaItem.albumId.toString()));
+    const role = trip ? getTripRole(trip, req) : null;
+
+    // Same responses as the single-item routes: no access looks like not found
+    if (!role) {
+      results.set(id, { id, status: 'failed', message: 'Media item not found' });
+    } else if (!hasRole(role, requiredRole)) {
+      results.set(id, { id, status: 'failed', message: 'You do not have permission to perform this action' });
+    } else {
+      mediaItems.push(mediaItem);
+    }
+  }
+
+  return { mediaItems, results };
+};
+
+// Response body for a batch: every result plus counts by status
+const buildReport = (results) => {
+  const report = { results: [...results.values()], succeeded: 0, skipped: 0, failed: 0 };
+  report.results.forEach(result => {
+    if (result.status === 'failed') report.failed++;
+    else if (result.status === 'skipped') report.skipped++;
+    else report.succeeded++;
+  });
+  return report;
+};
+
+// Standalone MongoDB servers reject transactions; they need a replica set
+const isTransactionUnsupported = (error) =>
+  error.codeName === 'IllegalOperation' && /replica set/i.test(error.message);
+
+/**
+ * Run fn(session) in a transaction and resolve to its result. Everything
+ * fn writes is committed together or not at all.
+ */
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    return await session.withTransaction(() => fn(session));
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Write a batch of checked media items. On a replica set write(items, session)
+ * runs once for the whole batch and finish(items, session) after it, in one
+ * transaction. Standalone servers have no transactions, so each item is
+ * written on its own and one that fails gets a 'failed' result while the
+ * rest carry on; finish then runs once for the items written.
+ *
+ * Resolves to the media items written.
+ */
+const writeMediaBatch = async (mediaItems, results, { write, finish }) => {
+  try {
+    return await runInTransaction(async (session) => {
+      await write(mediaItems, session);
+      await finish(mediaItems, session);
+      return mediaItems;
+    });
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+  }
+
+  const written = [];
+  for (const mediaItem of mediaItems) {
+    const id = mediaItem._id.toString();
+    try {
+      await write([mediaItem], null);
+      written.push(mediaItem);
+    } catch (error) {
+      console.error(`Error writing media item ${id}:`, error);
+      results.set(id, { id, status: 'failed', message: 'Media item could not be saved' });
+    }
+  }
+
+  if (written.length > 0) {
+    await finish(written, null);
+  }
+  return written;
+};
+
+/**
+ * Give each album a valid cover after its media has changed and touch its
+ * lastUpdated. A cover that is still a photo in the album is kept; otherwise
+ * the album's first photo takes over, or the cover is cleared if it has none.
+ */
+const fixAlbumCovers = async (albumIds, session = null) => {
+  const uniqueIds = [...new Set(albumIds.map(String))];
+
+  for (const albumId of uniqueIds) {
+    const album = await Album.findById(albumId).select('coverImageId').session(session);
+    if (!album) continue;
+
+    let coverImageId = album.coverImageId || null;
+    const coverInAlbum = coverImageId && await MediaItem.exists({
+      _id: coverImageId,
+      albumId,
+      type: 'photo'
+    }).session(session);
+
+    if (!coverInAlbum) {
+      const firstPhoto = await MediaItem.findOne({ albumId, type: 'photo' })
+        .sort({ ...ALBUM_MEDIA_SORT, _id: 1 })
+        .select('_id')
+        .session(session);
+      coverImageId = firstPhoto ? firstPhoto._id : null;
+    }
+
+    await Album.updateOne(
+      { _id: albumId },
+      { coverImageId, lastUpdated: new Date() },
+      { session }
+    );
+  }
+};
+
+module.exports = {
+  MAX_BULK_ITEMS,
+  loadMediaBatch,
+  buildReport,
+  isTransactionUnsupported,
+  runInTransaction,
+  writeMediaBatch,
+  fixAlbumCovers
+};
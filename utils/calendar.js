@@ -0,0 +1,166 @@
+// iCalendar (RFC 5545) serialization for trip itineraries
+
+const PRODUCT_ID = '-//travel-api//Trip Itinerary//EN';
+const UID_DOMAIN = 'travel-api';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Dates are stored as UTC midnight, so format them using UTC components
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+};
+
+const formatDateTime = (date) => {
+  const d = new Date(date);
+  return `${formatDate(d)}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets as required by the spec
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+      limit = 74; // Continuation lines start with a space
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const buildEvent = (fields) => {
+  const lines = ['BEGIN:VEVENT'];
+  fields.forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      lines.push(`${name}:${value}`);
+    }
+  });
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Describe a local time for event text, e.g. "Feb 22, 10:05 (Asia/Tokyo)"
+const formatLocalTime = (date, timeZone) => `${new Date(date).toLocaleString('en-US', {
+  timeZone,
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+})} (${timeZone})`;
+
+// Segments with a departure time are timed events in UTC; the rest are
+// all-day events on the travel date
+const segmentTimes = (segment) => {
+  if (!segment.departureTime) {
+    const start = new Date(segment.date);
+    return [
+      ['DTSTART;VALUE=DATE', formatDate(start)],
+      ['DTEND;VALUE=DATE', formatDate(start.getTime() + DAY_MS)]
+    ];
+  }
+
+  return [
+    ['DTSTART', formatDateTime(segment.departureTime)],
+    ['DTEND', segment.arrivalTime ? formatDateTime(segment.arrivalTime) : undefined]
+  ];
+};
+
+const segmentToEvent = (segment, dtstamp) => {
+  const description = [
+    `Transport: ${segment.transport} (${segment.type})`,
+    `From: ${segment.origin.name}`,
+    `To: ${segment.destination.name}`,
+    segment.departureTime && `Departs: ${formatLocalTime(segment.departureTime, segment.departureTimeZone)}`,
+    segment.arrivalTime && `Arrives: ${formatLocalTime(segment.arrivalTime, segment.arrivalTimeZone)}`,
+    segment.notes
+  ].filter(Boolean).join('\n');
+
+  return buildEvent([
+    ['UID', `segment-${segment._id}@${UID_DOMAIN}`],
+    ['DTSTAMP', dtstamp],
+    ...segmentTimes(segment),
+    ['SUMMARY', escapeText(`${segment.transport}: ${segment.origin.name} → ${segment.destination.name}`)],
+    ['DESCRIPTION', escapeText(description)],
+    ['LOCATION', escapeText(segment.origin.name)],
+    ['CATEGORIES', escapeText(segment.type)],
+    ['TRANSP', 'TRANSPARENT']
+  ]);
+};
+
+// A multi-day all-day event covering check-in through check-out
+const stayToEvent = (stay, dtstamp) => {
+  const [latitude, longitude] = stay.coordinates;
+  const description = [
+    stay.checkIn && `Check-in: ${formatLocalTime(stay.checkIn, stay.timeZone)}`,
+    stay.checkOut && `Check-out: ${formatLocalTime(stay.checkOut, stay.timeZone)}`,
+    stay.notes
+  ].filter(Boolean).join('\n');
+
+  return buildEvent([
+    ['UID', `stay-${stay._id}@${UID_DOMAIN}`],
+    ['DTSTAMP', dtstamp],
+    ['DTSTART;VALUE=DATE', formatDate(stay.dateStart)],
+    // DTEND is exclusive for all-day events, so end the day after check-out
+    ['DTEND;VALUE=DATE', formatDate(new Date(stay.dateEnd).getTime() + DAY_MS)],
+    ['SUMMARY', escapeText(stay.location)],
+    ['DESCRIPTION', description ? escapeText(description) : undefined],
+    ['LOCATION', escapeText(stay.location)],
+    ['GEO', `${latitude};${longitude}`],
+    ['CATEGORIES', 'stay'],
+    ['TRANSP', 'OPAQUE']
+  ]);
+};
+
+/**
+ * Build an iCalendar document for a trip. Event UIDs are derived from the
+ * segment and stay subdocument IDs so re-importing updates existing events.
+ */
+const buildTripCalendar = (trip) => {
+  const dtstamp = formatDateTime(trip.updatedAt || new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(trip.tripName)}`
+  ];
+
+  if (trip.description) {
+    lines.push(`X-WR-CALDESC:${escapeText(trip.description)}`);
+  }
+
+  trip.segments.forEach(segment => lines.push(...segmentToEvent(segment, dtstamp)));
+  trip.stays.forEach(stay => lines.push(...stayToEvent(stay, dtstamp)));
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildTripCalendar
+};
@@ -0,0 +1,191 @@
+const Trip = require('../models/Trip');
+const Album = require('../models/Album');
+const MediaItem = require('../models/MediaItem');
+const Expense = require('../models/Expense');
+const Upload = require('../models/Upload');
+const { getStorage } = require('../storage');
+const { getMediaItemUrls, deleteStoredFiles } = require('./mediaFiles');
+
+// Cascading deletes and orphan cleanup across trips, albums, media and stored files
+
+// Uploads younger than this may still be waiting for their MediaItem to be created
+const DEFAULT_MIN_FILE_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delete media items matching a filter along with their stored files.
+ * Resolves to the number of media items deleted.
+ */
+const deleteMediaItems = async (filter) => {
+  const mediaItems = await MediaItem.find(filter).select('type content derivatives');
+
+  // Files are only removed once nothing points at them
+  const { deletedCount } = await MediaItem.deleteMany({ _id: { $in: mediaItems.map(item => item._id) } });
+
+  for (const mediaItem of mediaItems) {
+    await deleteStoredFiles(getMediaItemUrls(mediaItem));
+  }
+
+  return deletedCount;
+};
+
+/**
+ * Delete albums matching a filter along with all their media.
+ * Resolves to { albums, mediaItems } deletion counts.
+ */
+const deleteAlbums = async (filter) => {
+  const albums = await Album.find(filter).select('_id');
+  const albumIds = albums.map(album => album._id);
+
+  const mediaItems = await deleteMediaItems({ albumId: { $in: albumIds } });
+  const { deletedCount } = await Album.deleteMany({ _id: { $in: albumIds } });
+
+  return { albums: deletedCount, mediaItems };
+};
+
+/**
+ * Delete a trip with all its albums, media, stored files and expenses.
+ * Resolves to { albums, mediaItems, expenses } deletion counts.
+ */
+const deleteTripCascade = async (trip) => {
+  const counts = await deleteAlbums({ tripId: trip._id });
+  const { deletedCount: expenses } = await Expense.deleteMany({ tripId: trip._id });
+  await trip.deleteOne();
+  return { ...counts, expenses };
+};
+
+/**
+ * Scan for data nobody can reach any more:
+ *   files          - stored files not referenced by any MediaItem or unclaimed Upload
+ *   albums         - albums whose trip no longer exists
+ *   mediaItems     - media items whose album no longer exists
+ *   defaultAlbums  - trip, segment and stay defaultAlbumIds pointing at missing albums
+ *   coverImages    - album coverImageIds pointing at missing media or media in another album
+ *
+ * Files modified within minFileAgeMs are skipped, since /api/media/upload
+ * stores files before the client creates their MediaItem. The storage
+ * backend is assumed to hold nothing but this API's media.
+ */
+const findOrphans = async ({ minFileAgeMs = DEFAULT_MIN_FILE_AGE_MS } = {}) => {
+  const storage = getStorage();
+
+  const [trips, albums, mediaItems, uploads] = await Promise.all([
+    Trip.find({}).select('tripName defaultAlbumId segments._id segments.defaultAlbumId stays._id stays.defaultAlbumId').lean(),
+    Album.find({}).select('name tripId coverImageId').lean(),
+    MediaItem.find({}).select('albumId type content derivatives').lean(),
+    Upload.find({}).select('key derivatives').lean()
+  ]);
+
+  const tripIds = new Set(trips.map(trip => trip._id.toString()));
+  const albumIds = new Set(albums.map(album => album._id.toString()));
+  const mediaAlbumById = new Map(mediaItems.map(item => [item._id.toString(), item.albumId.toString()]));
+
+  // Stored files, including uploads that can still be claimed
+  const referencedKeys = new Set();
+  mediaItems.forEach(item => {
+    getMediaItemUrls(item).forEach(url => {
+      const key = storage.keyFromUrl(url);
+      if (key) referencedKeys.add(key);
+    });
+  });
+  uploads.forEach(upload => {
+    referencedKeys.add(upload.key);
+    (upload.derivatives || []).forEach(derivative => {
+      const key = storage.keyFromUrl(derivative.url);
+      if (key) referencedKeys.add(key);
+    });
+  });
+
+  const cutoff = Date.now() - minFileAgeMs;
+  const files = (await storage.listFiles())
+    .filter(file => !referencedKeys.has(file.key))
+    .filter(file => !file.lastModified || new Date(file.lastModified).getTime() < cutoff)
+    .map(file => file.key);
+
+  // Documents pointing at missing parents
+  const orphanedAlbums = albums
+    .filter(album => !tripIds.has(album.tripId.toString()))
+    .map(album => ({ _id: album._id, name: album.name, tripId: album.tripId }));
+
+  const orphanedMediaItems = mediaItems
+    .filter(item => !albumIds.has(item.albumId.toString()))
+    .map(item => ({ _id: item._id, albumId: item.albumId, type: item.type }));
+
+  // Dangling references
+  const defaultAlbums = [];
+  trips.forEach(trip => {
+    const check = (itemType, itemId, defaultAlbumId) => {
+      if (defaultAlbumId && !albumIds.has(defaultAlbumId.toString())) {
+        defaultAlbums.push({ tripId: trip._id, itemType, itemId, defaultAlbumId });
+      }
+    };
+
+    check('trip', trip._id, trip.defaultAlbumId);
+    (trip.segments || []).forEach(segment => check('segment', segment._id, segment.defaultAlbumId));
+    (trip.stays || []).forEach(stay => check('stay', stay._id, stay.defaultAlbumId));
+  });
+
+  const coverImages = albums
+    .filter(album => album.coverImageId &&
+      mediaAlbumById.get(album.coverImageId.toString()) !== album._id.toString())
+    .map(album => ({ albumId: album._id, coverImageId: album.coverImageId }));
+
+  return {
+    files,
+    albums: orphanedAlbums,
+    mediaItems: orphanedMediaItems,
+    defaultAlbums,
+    coverImages
+  };
+};
+
+/**
+ * Remove everything reported by findOrphans. Dangling references are unset
+ * rather than deleted. Resolves to counts of what was purged.
+ */
+const purgeOrphans = async (report) => {
+  const storage = getStorage();
+
+  for (const key of report.files) {
+    await storage.deleteFile(key);
+  }
+
+  const albumCounts = await deleteAlbums({ _id: { $in: report.albums.map(album => album._id) } });
+  const mediaItems = await deleteMediaItems({ _id: { $in: report.mediaItems.map(item => item._id) } });
+
+  for (const reference of report.defaultAlbums) {
+    if (reference.itemType === 'trip') {
+      await Trip.updateOne({ _id: reference.tripId }, { $unset: { defaultAlbumId: 1 } });
+    } else {
+      const field = reference.itemType === 'segment' ? 'segments' : 'stays';
+      await Trip.updateOne(
+        { _id: reference.tripId, [`${field}._id`]: reference.itemId },
+        { $unset: { [`${field}.$.defaultAlbumId`]: 1 } }
+      );
+    }
+  }
+
+  // Point albums with a broken cover at their first remaining photo, if any
+  for (const reference of report.coverImages) {
+    const anotherPhoto = await MediaItem.findOne({ albumId: reference.albumId, type: 'photo' }).select('_id');
+    await Album.updateOne(
+      { _id: reference.albumId },
+      anotherPhoto ? { coverImageId: anotherPhoto._id } : { $unset: { coverImageId: 1 } }
+    );
+  }
+
+  return {
+    files: report.files.length,
+    albums: albumCounts.albums,
+    mediaItems: mediaItems + albumCounts.mediaItems,
+    defaultAlbums: report.defaultAlbums.length,
+    coverImages: report.coverImages.length
+  };
+};
+
+module.exports = {
+  deleteMediaItems,
+  deleteAlbums,
+  deleteTripCascade,
+  findOrphans,
+  purgeOrphans
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+// Currency conversion from a local exchange-rate table. The table lists how
+// many units of each currency one unit of the base currency buys:
+//
+//   { "base": "USD", "updatedAt": "2025-02-01", "rates": { "USD": 1, "JPY": 154.5 } }
+//
+// EXCHANGE_RATES_FILE points at a different table; config/exchangeRates.json
+// is used otherwise. The table is read once per process.
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '../config/exchangeRates.json');
+
+let exchangeRates = null;
+const getExchangeRates = () => {
+  if (!exchangeRates) {
+    const file = process.env.EXCHANGE_RATES_FILE
+      ? path.resolve(process.env.EXCHANGE_RATES_FILE)
+      : DEFAULT_RATES_FILE;
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    exchangeRates = {
+      base: table.base.toUpperCase(),
+      updatedAt: table.updatedAt,
+      rates: Object.fromEntries(
+        Object.entries(table.rates).map(([currency, rate]) => [currency.toUpperCase(), Number(rate)])
+      )
+    };
+  }
+  return exchangeRates;
+};
+
+const hasRate = (currency) => {
+  const rate = getExchangeRates().rates[String(currency).toUpperCase()];
+  return Number.isFinite(rate) && rate > 0;
+};
+
+/**
+ * Convert an amount between currencies through the base currency.
+ * Throws if either currency is missing from the table.
+ */
+const convert = (amount, from, to) => {
+  const source = String(from).toUpperCase();
+  const target = String(to).toUpperCase();
+  if (source === target) return amount;
+
+  const { rates } = getExchangeRates();
+  [source, target].forEach(currency => {
+    if (!hasRate(currency)) {
+      throw new Error(`No exchange rate for ${currency}`);
+    }
+  });
+
+  return amount / rates[source] * rates[target];
+};
+
+/**
+ * Round an amount to the currency's minor unit, e.g. cents for USD, whole yen for JPY
+ */
+const roundAmount = (amount, currency) => {
+  let digits = 2;
+  try {
+    digits = new Intl.NumberFormat('en-US', { style: 'currency', currency })
+      .resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    // Unknown to Intl; keep two decimals
+  }
+  const factor = 10 ** digits;
+  return Math.round(amount * factor) / factor;
+};
+
+module.exports = {
+  getExchangeRates,
+  hasRate,
+  convert,
+  roundAmount
+};
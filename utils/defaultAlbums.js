@@ -0,0 +1,88 @@
+const Album = require('../models/Album');
+
+// Default album naming matches POST /api/albums/default/:tripId/:itemType/:itemId
+const getItemName = (itemType, item) => (itemType === 'segment'
+  ? `${item.transport}: ${item.origin.name} to ${item.destination.name}`
+  : item.location);
+
+/**
+ * Summary of the segment or stay an album belongs to, as returned with
+ * GET /api/albums/:id, or null for trip-level albums and missing items
+ */
+const getRelatedItemInfo = (album, trip) => {
+  if (!trip || !album.relatedItem || album.relatedItem.type === 'trip') return null;
+
+  if (album.relatedItem.type === 'segment') {
+    const segment = trip.segments.id(album.relatedItem.itemId);
+    if (segment) {
+      return {
+        id: segment._id,
+        type: 'segment',
+        name: segment.transport,
+        description: `${segment.origin.name} → ${segment.destination.name}`,
+        date: segment.date
+      };
+    }
+  } else if (album.relatedItem.type === 'stay') {
+    const stay = trip.stays.id(album.relatedItem.itemId);
+    if (stay) {
+      return {
+        id: stay._id,
+        type: 'stay',
+        name: stay.location,
+        description: `${stay.dateStart} - ${stay.dateEnd}`,
+        date: stay.dateStart
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Create the default album for a single segment or stay and set its
+ * defaultAlbumId. The caller is responsible for saving the trip afterwards.
+ */
+const createDefaultAlbum = async (trip, itemType, item) => {
+  const itemName = getItemName(itemType, item);
+
+  const album = await new Album({
+    name: `${itemName} Album`,
+    description: `Default album for ${itemName}`,
+    tripId: trip._id,
+    relatedItem: { type: itemType, itemId: item._id },
+    isDefault: true
+  }).save();
+
+  item.defaultAlbumId = album._id;
+  return album;
+};
+
+/**
+ * Create a default album for every segment and stay in the trip that
+ * doesn't already have one. The caller is responsible for saving the trip.
+ */
+const createDefaultAlbums = async (trip) => {
+  const albums = [];
+
+  for (const segment of trip.segments) {
+    if (!segment.defaultAlbumId) {
+      albums.push(await createDefaultAlbum(trip, 'segment', segment));
+    }
+  }
+
+  for (const stay of trip.stays) {
+    if (!stay.defaultAlbumId) {
+      albums.push(await createDefaultAlbum(trip, 'stay', stay));
+    }
+  }
+
+  return albums;
+};
+
+module.exports = {
+  getItemName,
+  getRelatedItemInfo,
+  createDefaultAlbum,
+  createDefaultAlbums
+};
@@ -0,0 +1,100 @@
+const exifr = require('exifr');
+
+// EXIF tags read from uploaded photos
+const EXIF_TAGS = [
+  'DateTimeOriginal',
+  'CreateDate',
+  'OffsetTimeOriginal',
+  'Make',
+  'Model',
+  'LensModel',
+  'Orientation',
+  'GPSLatitude',
+  'GPSLongitude',
+  'GPSLatitudeRef',
+  'GPSLongitudeRef',
+  'GPSAltitude',
+  'ImageWidth',
+  'ImageHeight',
+  'ExifImageWidth',
+  'ExifImageHeight'
+];
+
+/**
+ * Read capture time, GPS, camera and orientation from a photo.
+ *
+ * Resolves to { takenAt, captureDay, coordinates, metadata } where captureDay
+ * is the camera's local calendar date (YYYY-MM-DD), coordinates is
+ * [latitude, longitude] like the rest of the schema, and metadata is a flat
+ * map of strings suitable for MediaItem.metadata. Photos without readable
+ * EXIF resolve to empty values rather than throwing.
+ *
+ * EXIF capture times carry no zone unless OffsetTimeOriginal is present, in
+ * which case takenAt is the true instant; otherwise it's the camera's wall
+ * clock read as if it were the server's local time.
+ */
+const extractPhotoMetadata = async (input) => {
+  const result = { takenAt: null, captureDay: null, coordinates: null, metadata: {} };
+
+  let exif;
+  try {
+    exif = await exifr.parse(input, { pick: EXIF_TAGS, gps: true, translateValues: false });
+  } catch (error) {
+    return result;
+  }
+
+  if (!exif) return result;
+
+  const capturedAt = exif.DateTimeOriginal || exif.CreateDate;
+  if (capturedAt instanceof Date && !isNaN(capturedAt)) {
+    result.takenAt = capturedAt;
+    result.captureDay = [
+      capturedAt.getFullYear(),
+      String(capturedAt.getMonth() + 1).padStart(2, '0'),
+      String(capturedAt.getDate()).padStart(2, '0')
+    ].join('-');
+
+    if (exif.OffsetTimeOriginal) {
+      const offsetMatch = String(exif.OffsetTimeOriginal).match(/^([+-])(\d{2}):(\d{2})$/);
+      if (offsetMatch) {
+        const [, sign, hours, minutes] = offsetMatch;
+        const offsetMinutes = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+        const wallClock = Date.UTC(
+          capturedAt.getFullYear(), capturedAt.getMonth(), capturedAt.getDate(),
+          capturedAt.getHours(), capturedAt.getMinutes(), capturedAt.getSeconds()
+        );
+        result.takenAt = new Date(wallClock - offsetMinutes * 60 * 1000);
+      }
+      result.metadata.timezoneOffset = String(exif.OffsetTimeOriginal);
+    }
+
+    result.metadata.capturedAt = result.takenAt.toISOString();
+  }
+
+  if (typeof exif.latitude === 'number' && typeof exif.longitude === 'number') {
+    result.coordinates = [exif.latitude, exif.longitude];
+    result.metadata.latitude = String(exif.latitude);
+    result.metadata.longitude = String(exif.longitude);
+    if (typeof exif.GPSAltitude === 'number') {
+      result.metadata.altitude = String(exif.GPSAltitude);
+    }
+  }
+
+  if (exif.Make) result.metadata.cameraMake = String(exif.Make).trim();
+  if (exif.Model) result.metadata.cameraModel = String(exif.Model).trim();
+  if (exif.LensModel) result.metadata.lensModel = String(exif.LensModel).trim();
+  if (exif.Orientation) result.metadata.orientation = String(exif.Orientation);
+
+  const width = exif.ExifImageWidth || exif.ImageWidth;
+  const height = exif.ExifImageHeight || exif.ImageHeight;
+  if (width && height) {
+    result.metadata.width = String(width);
+    result.metadata.height = String(height);
+  }
+
+  return result;
+};
+
+module.exports = {
+  extractPhotoMetadata
+};
@@ -0,0 +1,119 @@
+const { convert, hasRate, roundAmount, getExchangeRates } = require('./currency');
+
+// Expense totals for a trip in one home currency, with budget overrun reporting
+
+// Stored dates are UTC midnight, so the ISO date is the calendar day
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Human-readable name for the segment or stay an expense belongs to
+const itemLabel = (trip, itemType, itemId) => {
+  if (itemType === 'segment') {
+    const segment = trip.segments.id(itemId);
+    return segment ? `${segment.transport}: ${segment.origin.name} → ${segment.destination.name}` : null;
+  }
+  if (itemType === 'stay') {
+    const stay = trip.stays.id(itemId);
+    return stay ? stay.location : null;
+  }
+  return trip.tripName;
+};
+
+/**
+ * Summarise a trip's expenses in homeCurrency. Expenses whose currency has
+ * no exchange rate are listed under unconverted and left out of the totals.
+ */
+const buildExpenseSummary = (trip, expenses, homeCurrency) => {
+  const currency = homeCurrency.toUpperCase();
+  const round = (amount) => roundAmount(amount, currency);
+
+  const byCategory = {};
+  const byItem = new Map();
+  const byDay = new Map();
+  const unconverted = [];
+  let total = 0;
+
+  expenses.forEach(expense => {
+    if (!hasRate(expense.currency)) {
+      unconverted.push({
+        _id: expense._id,
+        amount: expense.amount,
+        currency: expense.currency,
+        description: expense.description
+      });
+      return;
+    }
+
+    const amount = convert(expense.amount, expense.currency, currency);
+    total += amount;
+
+    byCategory[expense.category] = (byCategory[expense.category] || 0) + amount;
+
+    const { type: itemType, itemId } = expense.relatedItem;
+    const itemKey = itemType === 'trip' ? 'trip' : `${itemType}:${itemId}`;
+    if (!byItem.has(itemKey)) {
+      byItem.set(itemKey, {
+        itemType,
+        itemId: itemType === 'trip' ? undefined : itemId,
+        label: itemLabel(trip, itemType, itemId),
+        total: 0,
+        count: 0
+      });
+    }
+    const item = byItem.get(itemKey);
+    item.total += amount;
+    item.count++;
+
+    const day = toDay(expense.date);
+    byDay.set(day, (byDay.get(day) || 0) + amount);
+  });
+
+  Object.keys(byCategory).forEach(category => {
+    byCategory[category] = round(byCategory[category]);
+  });
+
+  const summary = {
+    tripId: trip._id,
+    currency,
+    total: round(total),
+    count: expenses.length - unconverted.length,
+    byCategory,
+    byItem: [...byItem.values()]
+      .map(item => ({ ...item, total: round(item.total) }))
+      .sort((a, b) => b.total - a.total),
+    byDay: [...byDay.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, amount]) => ({ date, total: round(amount) })),
+    unconverted,
+    exchangeRates: {
+      base: getExchangeRates().base,
+      updatedAt: getExchangeRates().updatedAt
+    },
+    budget: null
+  };
+
+  if (trip.budget && trip.budget.amount != null) {
+    const budget = {
+      amount: trip.budget.amount,
+      currency: trip.budget.currency
+    };
+
+    if (hasRate(trip.budget.currency)) {
+      const limit = convert(trip.budget.amount, trip.budget.currency, currency);
+      budget.converted = round(limit);
+      budget.remaining = round(limit - total);
+      budget.percentUsed = limit > 0 ? Math.round(total / limit * 1000) / 10 : null;
+      budget.overrun = total > limit;
+      budget.overrunBy = budget.overrun ? round(total - limit) : 0;
+    } else {
+      budget.message = `No exchange rate for ${trip.budget.currency}`;
+    }
+
+    summary.budget = budget;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  buildExpenseSummary
+};
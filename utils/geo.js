@@ -0,0 +1,114 @@
+// Geographic helpers. Trip coordinates are stored as [latitude, longitude];
+// GeoJSON and most map libraries expect [longitude, latitude].
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Convert a stored [latitude, longitude] pair to a GeoJSON [longitude, latitude] position
+ */
+const toLngLat = ([latitude, longitude]) => [longitude, latitude];
+
+/**
+ * Check that a pair looks like [latitude, longitude] and not the other way round
+ */
+const isValidLatLng = (pair) => Array.isArray(pair) && pair.length === 2 &&
+  pair.every(Number.isFinite) &&
+  Math.abs(pair[0]) <= 90 && Math.abs(pair[1]) <= 180;
+
+/**
+ * Convert a stored [latitude, longitude] pair to a GeoJSON Point
+ */
+const toGeoPoint = (pair) => ({ type: 'Point', coordinates: toLngLat(pair) });
+
+/**
+ * Great-circle distance in kilometres between two [latitude, longitude] pairs
+ */
+const haversineDistance = ([lat1, lng1], [lat2, lng2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Interpolate points along the great circle between two [latitude, longitude]
+ * pairs. Returns GeoJSON [longitude, latitude] positions with longitudes in
+ * -180..180; see splitAtAntimeridian for arcs that cross it.
+ */
+const greatCircleArc = (from, to, numPoints = 64) => {
+  const lat1 = toRadians(from[0]);
+  const lng1 = toRadians(from[1]);
+  const lat2 = toRadians(to[0]);
+  const lng2 = toRadians(to[1]);
+
+  // Angular distance between the endpoints
+  const d = haversineDistance(from, to) / EARTH_RADIUS_KM;
+
+  if (d === 0) {
+    return [toLngLat(from), toLngLat(to)];
+  }
+
+  const positions = [];
+  for (let i = 0; i <= numPoints; i++) {
+    const f = i / numPoints;
+    const A = Math.sin((1 - f) * d) / Math.sin(d);
+    const B = Math.sin(f * d) / Math.sin(d);
+
+    const x = A * Math.cos(lat1) * Math.cos(lng1) + B * Math.cos(lat2) * Math.cos(lng2);
+    const y = A * Math.cos(lat1) * Math.sin(lng1) + B * Math.cos(lat2) * Math.sin(lng2);
+    const z = A * Math.sin(lat1) + B * Math.sin(lat2);
+
+    const lat = toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)));
+    const lng = toDegrees(Math.atan2(y, x));
+
+    positions.push([lng, lat]);
+  }
+
+  return positions;
+};
+
+/**
+ * Split a line of GeoJSON positions wherever it crosses the antimeridian,
+ * taken as any step of more than 180° of longitude. Returns a list of lines
+ * for a MultiLineString, or a single line if it never crosses. Each piece
+ * ends on ±180 at the latitude where the line crosses, so maps draw one
+ * continuous route instead of a line back across the whole world.
+ */
+const splitAtAntimeridian = (positions) => {
+  const lines = [[positions[0]]];
+
+  for (let i = 1; i < positions.length; i++) {
+    const [lng1, lat1] = positions[i - 1];
+    const [lng2, lat2] = positions[i];
+
+    if (Math.abs(lng2 - lng1) > 180) {
+      const edge = lng1 > 0 ? 180 : -180;
+      const unwrappedLng2 = lng2 + (edge > 0 ? 360 : -360);
+      const f = (edge - lng1) / (unwrappedLng2 - lng1);
+      const crossingLat = lat1 + f * (lat2 - lat1);
+
+      lines[lines.length - 1].push([edge, crossingLat]);
+      lines.push([[-edge, crossingLat]]);
+    }
+
+    lines[lines.length - 1].push(positions[i]);
+  }
+
+  return lines;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toLngLat,
+  isValidLatLng,
+  toGeoPoint,
+  haversineDistance,
+  greatCircleArc,
+  splitAtAntimeridian
+};
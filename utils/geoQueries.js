@@ -0,0 +1,168 @@
+const Trip = require('../models/Trip');
+const Album = require('../models/Album');
+const MediaItem = require('../models/MediaItem');
+const { EARTH_RADIUS_KM, haversineDistance, toLngLat } = require('./geo');
+
+// Geospatial queries across a user's trips, backed by the 2dsphere indexes on
+// the derived geo points. Points and results use [latitude, longitude] like
+// the rest of the API; only the queries themselves speak GeoJSON order.
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+const tripContext = (trip) => ({
+  _id: trip._id,
+  tripName: trip.tripName,
+  dateRange: trip.dateRange
+});
+
+const centerSphere = (point, radiusKm) => ({
+  $centerSphere: [toLngLat(point), radiusKm / EARTH_RADIUS_KM]
+});
+
+/**
+ * Stays within radiusKm of a [latitude, longitude] point, nearest first
+ */
+const findStaysNear = async (tripIds, point, radiusKm) => {
+  const trips = await Trip.find({
+    _id: { $in: tripIds },
+    'stays.geo': { $geoWithin: centerSphere(point, radiusKm) }
+  }).select('tripName dateRange stays').lean();
+
+  // The query matches trips; pick out the stays that are actually in range
+  const stays = [];
+  trips.forEach(trip => {
+    trip.stays.forEach(stay => {
+      if (!stay.geo) return;
+
+      const distanceKm = haversineDistance(point, stay.coordinates);
+      if (distanceKm <= radiusKm) {
+        stays.push({
+          _id: stay._id,
+          location: stay.location,
+          coordinates: stay.coordinates,
+          dateStart: stay.dateStart,
+          dateEnd: stay.dateEnd,
+          distanceKm: roundKm(distanceKm),
+          trip: tripContext(trip)
+        });
+      }
+    });
+  });
+
+  return stays.sort((a, b) => a.distanceKm - b.distanceKm);
+};
+
+// GeoJSON polygons for a bounding box, split in two if it crosses the antimeridian
+const boxPolygons = ({ minLng, minLat, maxLng, maxLat }) => {
+  const polygon = (west, east) => ({
+    type: 'Polygon',
+    coordinates: [[[west, minLat], [east, minLat], [east, maxLat], [west, maxLat], [west, minLat]]]
+  });
+
+  return minLng <= maxLng
+    ? [polygon(minLng, maxLng)]
+    : [polygon(minLng, 180), polygon(-180, maxLng)];
+};
+
+const isInBox = ([latitude, longitude], { minLng, minLat, maxLng, maxLat }) => {
+  if (latitude < minLat || latitude > maxLat) return false;
+  return minLng <= maxLng
+    ? longitude >= minLng && longitude <= maxLng
+    : longitude >= minLng || longitude <= maxLng;
+};
+
+/**
+ * Trips with a stay or a segment origin or destination inside a bounding box,
+ * with the stays and segment endpoints that matched. Box edges between corners
+ * follow the GeoJSON polygon rules MongoDB applies, so results near the edges
+ * of very large boxes are approximate.
+ */
+const findTripsInBox = async (tripIds, box) => {
+  const fields = ['stays.geo', 'segments.origin.geo', 'segments.destination.geo'];
+  const conditions = boxPolygons(box).flatMap(geometry =>
+    fields.map(field => ({ [field]: { $geoWithin: { $geometry: geometry } } })));
+
+  const trips = await Trip.find({ _id: { $in: tripIds }, $or: conditions })
+    .select('tripName dateRange startDate stays segments')
+    .lean();
+
+  return trips
+    .map(trip => {
+      const stays = trip.stays
+        .filter(stay => stay.geo && isInBox(stay.coordinates, box))
+        .map(stay => ({
+          _id: stay._id,
+          location: stay.location,
+          coordinates: stay.coordinates,
+          dateStart: stay.dateStart,
+          dateEnd: stay.dateEnd
+        }));
+
+      const segments = [];
+      trip.segments.forEach(segment => {
+        ['origin', 'destination'].forEach(endpoint => {
+          const place = segment[endpoint];
+          if (place && place.geo && isInBox(place.coordinates, box)) {
+            segments.push({
+              _id: segment._id,
+              type: segment.type,
+              transport: segment.transport,
+              date: segment.date,
+              endpoint,
+              name: place.name,
+              coordinates: place.coordinates
+            });
+          }
+        });
+      });
+
+      return { ...tripContext(trip), startDate: trip.startDate, stays, segments };
+    })
+    .filter(trip => trip.stays.length > 0 || trip.segments.length > 0)
+    .sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+};
+
+/**
+ * Geotagged photos within radiusKm of a [latitude, longitude] point, nearest first
+ */
+const findPhotosNear = async (tripIds, point, radiusKm, limit) => {
+  const albums = await Album.find({ tripId: { $in: tripIds } }).select('name tripId relatedItem').lean();
+  if (albums.length === 0) return [];
+
+  const albumById = new Map(albums.map(album => [album._id.toString(), album]));
+  const trips = await Trip.find({ _id: { $in: tripIds } }).select('tripName dateRange').lean();
+  const tripById = new Map(trips.map(trip => [trip._id.toString(), trip]));
+
+  const results = await MediaItem.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: toLngLat(point) },
+        key: 'geo',
+        distanceField: 'distance',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: { albumId: { $in: albums.map(album => album._id) }, type: 'photo' }
+      }
+    },
+    { $limit: limit }
+  ]);
+
+  // Aggregation skips toJSON, so hydrate to get signed URLs in private mode
+  return results.map(({ distance, ...doc }) => {
+    const album = albumById.get(doc.albumId.toString());
+    const trip = tripById.get(album.tripId.toString());
+
+    return {
+      ...MediaItem.hydrate(doc).toJSON(),
+      distanceKm: roundKm(distance / 1000),
+      album: { _id: album._id, name: album.name, relatedItem: album.relatedItem },
+      trip: tripContext(trip)
+    };
+  });
+};
+
+module.exports = {
+  findStaysNear,
+  findTripsInBox,
+  findPhotosNear
+};
@@ -0,0 +1,83 @@
+const { toLngLat, greatCircleArc, splitAtAntimeridian } = require('./geo');
+
+// GeoJSON serialization of trip routes and stays for the map frontend
+
+const segmentToFeature = (segment) => {
+  const positions = segment.type === 'flight'
+    ? greatCircleArc(segment.origin.coordinates, segment.destination.coordinates)
+    : [toLngLat(segment.origin.coordinates), toLngLat(segment.destination.coordinates)];
+  const lines = splitAtAntimeridian(positions);
+
+  return {
+    type: 'Feature',
+    id: segment._id.toString(),
+    geometry: lines.length === 1
+      ? { type: 'LineString', coordinates: lines[0] }
+      : { type: 'MultiLineString', coordinates: lines },
+    properties: {
+      itemType: 'segment',
+      type: segment.type,
+      transport: segment.transport,
+      date: segment.date,
+      departureTime: segment.departureTime,
+      departureTimeZone: segment.departureTimeZone,
+      arrivalTime: segment.arrivalTime,
+      arrivalTimeZone: segment.arrivalTimeZone,
+      origin: {
+        name: segment.origin.name,
+        code: segment.origin.code
+      },
+      destination: {
+        name: segment.destination.name,
+        code: segment.destination.code
+      },
+      notes: segment.notes,
+      defaultAlbumId: segment.defaultAlbumId || null
+    }
+  };
+};
+
+const stayToFeature = (stay) => ({
+  type: 'Feature',
+  id: stay._id.toString(),
+  geometry: {
+    type: 'Point',
+    coordinates: toLngLat(stay.coordinates)
+  },
+  properties: {
+    itemType: 'stay',
+    type: 'stay',
+    location: stay.location,
+    dateStart: stay.dateStart,
+    dateEnd: stay.dateEnd,
+    checkIn: stay.checkIn,
+    checkOut: stay.checkOut,
+    timeZone: stay.timeZone,
+    notes: stay.notes,
+    amenities: stay.amenities,
+    defaultAlbumId: stay.defaultAlbumId || null
+  }
+});
+
+/**
+ * Build a GeoJSON FeatureCollection with a LineString per segment (great-circle
+ * arcs for flights) and a Point per stay, in [longitude, latitude] order.
+ * Segments crossing the antimeridian are MultiLineStrings split at ±180.
+ */
+const buildTripGeoJSON = (trip) => ({
+  type: 'FeatureCollection',
+  properties: {
+    tripId: trip._id.toString(),
+    tripName: trip.tripName,
+    dateRange: trip.dateRange,
+    defaultAlbumId: trip.defaultAlbumId || null
+  },
+  features: [
+    ...trip.segments.map(segmentToFeature),
+    ...trip.stays.map(stayToFeature)
+  ]
+});
+
+module.exports = {
+  buildTripGeoJSON
+};
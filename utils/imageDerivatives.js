@@ -0,0 +1,74 @@
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs');
+
+// Resized copies of uploaded photos for grids and phones on slow connections
+
+const DERIVATIVE_SIZES = [
+  { name: 'thumbnail', maxSize: 320 },
+  { name: 'medium', maxSize: 800 },
+  { name: 'large', maxSize: 1600 }
+];
+
+// Every size is written as a JPEG and as WebP for browsers that support it
+const DERIVATIVE_FORMATS = [
+  { format: 'jpeg', ext: 'jpg', options: { quality: 80, mozjpeg: true } },
+  { format: 'webp', ext: 'webp', options: { quality: 75 } }
+];
+
+const getDerivativeFileName = (fileName, size, format) =>
+  `${path.parse(fileName).name}-${size.name}.${format.ext}`;
+
+/**
+ * Write every derivative of a photo into outputDir and describe them.
+ * Each entry has the derivative's name, format, fileName, local path and
+ * dimensions. Resolves to an empty list if the image can't be decoded.
+ */
+const generateDerivatives = async (sourcePath, outputDir, fileName = path.basename(sourcePath)) => {
+  const derivatives = [];
+
+  try {
+    // Apply EXIF orientation once so every derivative is upright
+    const image = sharp(sourcePath).rotate();
+
+    for (const size of DERIVATIVE_SIZES) {
+      for (const format of DERIVATIVE_FORMATS) {
+        const derivativeName = getDerivativeFileName(fileName, size, format);
+        const derivativePath = path.join(outputDir, derivativeName);
+
+        const info = await image
+          .clone()
+          .resize({
+            width: size.maxSize,
+            height: size.maxSize,
+            fit: 'inside',
+            withoutEnlargement: true
+          })
+          .toFormat(format.format, format.options)
+          .toFile(derivativePath);
+
+        derivatives.push({
+          name: size.name,
+          format: format.format,
+          contentType: `image/${format.format}`,
+          fileName: derivativeName,
+          path: derivativePath,
+          width: info.width,
+          height: info.height
+        });
+      }
+    }
+  } catch (error) {
+    console.error(`Error generating derivatives for ${fileName}:`, error.message);
+    await Promise.all(derivatives.map(derivative => fs.promises.rm(derivative.path, { force: true })));
+    return [];
+  }
+
+  return derivatives;
+};
+
+module.exports = {
+  DERIVATIVE_SIZES,
+  DERIVATIVE_FORMATS,
+  generateDerivatives
+};
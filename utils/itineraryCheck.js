@@ -0,0 +1,198 @@
+const { haversineDistance } = require('./geo');
+
+// Consistency checks for hand-entered itineraries. Errors are data that can't
+// be right; warnings are gaps and oddities worth a second look.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Places closer than this count as the same place when names differ,
+// e.g. an airport and one of its terminals
+const SAME_PLACE_KM = 2;
+
+// A segment this many days from every other date in the trip is likely a typo
+const MAX_DATE_GAP_DAYS = 60;
+
+// Stored dates are UTC midnight, so the ISO date is the calendar day
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const isValidDate = (date) => date != null && !isNaN(new Date(date).getTime());
+
+const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+const isSamePlace = (a, b) => {
+  if (!a || !b) return false;
+  if (normalizeName(a.name) && normalizeName(a.name) === normalizeName(b.name)) return true;
+
+  return Array.isArray(a.coordinates) && a.coordinates.length === 2 &&
+    Array.isArray(b.coordinates) && b.coordinates.length === 2 &&
+    haversineDistance(a.coordinates, b.coordinates) <= SAME_PLACE_KM;
+};
+
+const issue = (code, message, details = {}) => ({ code, message, ...details });
+
+const stayRef = (stay, index) => ({ itemType: 'stay', itemId: stay._id, index });
+const segmentRef = (segment, index) => ({ itemType: 'segment', itemId: segment._id, index });
+
+/**
+ * Check a trip's segments and stays for inconsistencies. Reads nothing
+ * from the database, so it works on unsaved trips too.
+ * Returns { valid, errors, warnings }; each issue has a code, a message and
+ * the itemType, itemId and array index it refers to where there is one.
+ */
+const checkItinerary = (trip) => {
+  const errors = [];
+  const warnings = [];
+  const segments = trip.segments || [];
+  const stays = trip.stays || [];
+
+  // Stays
+  const datedStays = [];
+  stays.forEach((stay, index) => {
+    const ref = stayRef(stay, index);
+
+    if (!isValidDate(stay.dateStart) || !isValidDate(stay.dateEnd)) {
+      errors.push(issue('STAY_INVALID_DATE', `Stay "${stay.location}" has a missing or invalid date`, ref));
+      return;
+    }
+
+    const start = new Date(stay.dateStart);
+    const end = new Date(stay.dateEnd);
+
+    if (end < start) {
+      errors.push(issue('STAY_END_BEFORE_START',
+        `Stay "${stay.location}" ends (${toDay(end)}) before it starts (${toDay(start)})`, ref));
+      return;
+    }
+
+    if (stay.checkIn && stay.checkOut && new Date(stay.checkOut) <= new Date(stay.checkIn)) {
+      errors.push(issue('STAY_CHECKOUT_BEFORE_CHECKIN',
+        `Stay "${stay.location}" checks out before it checks in`, ref));
+    }
+
+    datedStays.push({ stay, index, start, end });
+  });
+
+  datedStays.sort((a, b) => a.start - b.start);
+
+  // Checking out and in on the same day is not an overlap
+  for (let i = 1; i < datedStays.length; i++) {
+    const previous = datedStays[i - 1];
+    const current = datedStays[i];
+
+    if (current.start < previous.end) {
+      errors.push(issue('STAYS_OVERLAP',
+        `Stay "${current.stay.location}" starts (${toDay(current.start)}) before "${previous.stay.location}" ends (${toDay(previous.end)})`,
+        { ...stayRef(current.stay, current.index), overlapsWith: stayRef(previous.stay, previous.index) }));
+    }
+  }
+
+  // Segments
+  const datedSegments = [];
+  segments.forEach((segment, index) => {
+    if (!isValidDate(segment.date)) {
+      errors.push(issue('SEGMENT_INVALID_DATE',
+        `Segment ${segment.transport || index} has a missing or invalid date`, segmentRef(segment, index)));
+      return;
+    }
+
+    if (segment.departureTime && segment.arrivalTime &&
+      new Date(segment.arrivalTime) < new Date(segment.departureTime)) {
+      errors.push(issue('SEGMENT_ARRIVES_BEFORE_DEPARTURE',
+        `Segment ${segment.transport} arrives before it departs`, segmentRef(segment, index)));
+    }
+
+    datedSegments.push({ segment, index, date: new Date(segment.date) });
+  });
+
+  // Segments should be listed in date order
+  for (let i = 1; i < datedSegments.length; i++) {
+    const previous = datedSegments[i - 1];
+    const current = datedSegments[i];
+
+    if (current.date < previous.date) {
+      warnings.push(issue('SEGMENT_OUT_OF_ORDER',
+        `Segment ${current.segment.transport} (${toDay(current.date)}) is listed after a later segment (${toDay(previous.date)})`,
+        segmentRef(current.segment, current.index)));
+    }
+  }
+
+  // Each leg should leave from where the previous one arrived
+  const departure = ({ segment }) => segment.departureTime ? new Date(segment.departureTime).getTime() : Infinity;
+  const chronological = [...datedSegments].sort((a, b) =>
+    a.date - b.date || departure(a) - departure(b) || a.index - b.index);
+  for (let i = 1; i < chronological.length; i++) {
+    const previous = chronological[i - 1].segment;
+    const current = chronological[i].segment;
+
+    if (!isSamePlace(previous.destination, current.origin)) {
+      warnings.push(issue('SEGMENT_ORIGIN_MISMATCH',
+        `Segment ${current.transport} leaves from "${current.origin && current.origin.name}" but the previous segment arrives at "${previous.destination && previous.destination.name}"`,
+        segmentRef(current, chronological[i].index)));
+    }
+  }
+
+  // A segment far from every other date doesn't fit the trip
+  const otherDates = (excludeIndex) => [
+    ...datedSegments.filter(entry => entry.index !== excludeIndex).map(entry => entry.date),
+    ...datedStays.flatMap(entry => [entry.start, entry.end])
+  ];
+  datedSegments.forEach(({ segment, index, date }) => {
+    const dates = otherDates(index);
+    if (dates.length === 0) return;
+
+    const nearestGapDays = Math.min(...dates.map(other => Math.abs(other - date))) / MS_PER_DAY;
+    if (nearestGapDays > MAX_DATE_GAP_DAYS) {
+      errors.push(issue('SEGMENT_DATE_OUTLIER',
+        `Segment ${segment.transport} is dated ${toDay(date)}, ${Math.round(nearestGapDays)} days from the rest of the trip`,
+        segmentRef(segment, index)));
+    }
+  });
+
+  // Nights between the first and last day of the trip that no stay covers
+  const allDates = [
+    ...datedSegments.map(entry => entry.date),
+    ...datedStays.flatMap(entry => [entry.start, entry.end])
+  ];
+  const hasOutlier = errors.some(error => error.code === 'SEGMENT_DATE_OUTLIER');
+
+  // An outlier would flag every night up to it, so skip the gap check then
+  if (allDates.length > 0 && !hasOutlier) {
+    const first = Math.min(...allDates);
+    const last = Math.max(...allDates);
+    let gap = null;
+
+    const closeGap = () => {
+      if (!gap) return;
+      warnings.push(issue('NIGHTS_WITHOUT_STAY',
+        gap.nights === 1
+          ? `No stay covers the night of ${gap.from}`
+          : `No stay covers the ${gap.nights} nights from ${gap.from} to ${gap.to}`,
+        gap));
+      gap = null;
+    };
+
+    for (let night = first; night < last; night += MS_PER_DAY) {
+      const covered = datedStays.some(entry => entry.start.getTime() <= night && night < entry.end.getTime());
+
+      if (covered) {
+        closeGap();
+      } else if (gap) {
+        gap.to = toDay(night);
+        gap.nights++;
+      } else {
+        gap = { from: toDay(night), to: toDay(night), nights: 1 };
+      }
+    }
+    closeGap();
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+};
+
+module.exports = {
+  checkItinerary
+};
@@ -0,0 +1,107 @@
+// Pagination, sorting and field selection for list endpoints. List responses
+// share one shape:
+//
+//   { data: [...], pagination: { page, limit, total, totalPages, hasNextPage, hasPrevPage } }
+//
+// This replaced the bare arrays GET /api/trips, GET /api/albums and
+// GET /api/media/album/:albumId used to return, so clients read body.data
+// and follow pagination rather than assuming one response holds everything.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const parsePositiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * Read ?page, ?limit, ?sort and ?fields from a query string.
+ *
+ *   sort   - comma-separated fields, '-' prefix for descending, e.g. "-startDate,tripName"
+ *   fields - comma-separated fields to return; _id is always included
+ *
+ * Only fields listed in sortFields and selectFields are accepted. An
+ * endpoint whose clients expect everything in one response can raise
+ * defaultLimit and maxLimit.
+ * Returns { page, limit, skip, sort, select } or { error }.
+ */
+const parseListQuery = (query, {
+  sortFields = [],
+  defaultSort = {},
+  selectFields = [],
+  defaultLimit = DEFAULT_LIMIT,
+  maxLimit = MAX_LIMIT
+} = {}) => {
+  const page = parsePositiveInt(query.page, 1);
+  const limit = Math.min(parsePositiveInt(query.limit, defaultLimit), maxLimit);
+
+  let sort = defaultSort;
+  if (query.sort) {
+    sort = {};
+    for (const entry of String(query.sort).split(',').map(part => part.trim()).filter(Boolean)) {
+      const field = entry.replace(/^[-+]/, '');
+      if (!sortFields.includes(field)) {
+        return { error: `Cannot sort by ${field}. Use ${sortFields.join(', ')}` };
+      }
+      sort[field] = entry.startsWith('-') ? -1 : 1;
+    }
+  }
+
+  let select;
+  if (query.fields) {
+    const fields = String(query.fields).split(',').map(part => part.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !selectFields.includes(field));
+    if (unknown.length > 0) {
+      return { error: `Unknown fields: ${unknown.join(', ')}. Use ${selectFields.join(', ')}` };
+    }
+    select = fields.join(' ');
+  }
+
+  return { page, limit, skip: (page - 1) * limit, sort, select };
+};
+
+/**
+ * Parse a date filter value. Returns a Date, undefined if no value was
+ * given, or null if the value isn't a date.
+ */
+const parseDateFilter = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Run a paginated find and count for a filter, with options from
+ * parseListQuery. Resolves to a list response body.
+ */
+const findPage = async (Model, filter, { page, limit, skip, sort, select }) => {
+  // Break ties on _id so pages don't overlap or skip documents
+  let query = Model.find(filter).sort({ ...sort, _id: 1 }).skip(skip).limit(limit);
+  if (select) query = query.select(select);
+
+  const [data, total] = await Promise.all([query, Model.countDocuments(filter)]);
+
+  return { data, pagination: buildPagination(total, page, limit) };
+};
+
+const buildPagination = (total, page, limit) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  parseDateFilter,
+  findPage,
+  buildPagination
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const MediaItem = require('../models/MediaItem');
+const Upload = require('../models/Upload');
+const { getStorage, withLocalFile, TEMP_DIR } = require('../storage');
+const { extractPhotoMetadata } = require('./exif');
+const { generateDerivatives } = require('./imageDerivatives');
+
+// Processing and cleanup of photo files held in the configured storage backend
+
+/**
+ * Store a photo that multer wrote to a temporary path: read its EXIF data,
+ * generate resized derivatives and move everything into storage. Temporary
+ * files are removed whether or not storing succeeds.
+ *
+ * Resolves to { url, takenAt, captureDay, coordinates, metadata, derivatives }.
+ */
+const storeUploadedPhoto = async (file) => {
+  const storage = getStorage();
+  const key = file.filename;
+
+  const { takenAt, captureDay, coordinates, metadata } = await extractPhotoMetadata(file.path);
+  await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+  const generated = await generateDerivatives(file.path, TEMP_DIR, key);
+
+  const storedKeys = [];
+  try {
+    await storage.saveFile(key, file.path, file.mimetype);
+    storedKeys.push(key);
+
+    for (const derivative of generated) {
+      await storage.saveFile(derivative.fileName, derivative.path, derivative.contentType);
+      storedKeys.push(derivative.fileName);
+    }
+  } catch (error) {
+    // Don't leave half a photo behind in storage or in the temp directory
+    await Promise.all(storedKeys.map(storedKey => storage.deleteFile(storedKey)));
+    await Promise.all([file.path, ...generated.map(d => d.path)]
+      .map(tempPath => fs.promises.rm(tempPath, { force: true })));
+    throw error;
+  }
+
+  return {
+    url: storage.getPublicUrl(key),
+    takenAt,
+    captureDay,
+    coordinates,
+    metadata,
+    derivatives: generated.map(derivative => ({
+      name: derivative.name,
+      format: derivative.format,
+      url: storage.getPublicUrl(derivative.fileName),
+      width: derivative.width,
+      height: derivative.height
+    }))
+  };
+};
+
+/**
+ * Re-read EXIF data and regenerate derivatives for a photo already in
+ * storage. Resolves to null if the URL isn't in the configured backend.
+ */
+const refreshStoredPhoto = async (url) => {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+
+  if (!key || !(await storage.exists(key))) return null;
+
+  return withLocalFile(storage, key, async (localPath) => {
+    const { takenAt, metadata } = await extractPhotoMetadata(localPath);
+    await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+    const generated = await generateDerivatives(localPath, TEMP_DIR, path.basename(key));
+
+    for (const derivative of generated) {
+      await storage.saveFile(derivative.fileName, derivative.path, derivative.contentType);
+    }
+
+    return {
+      takenAt,
+      metadata,
+      derivatives: generated.map(derivative => ({
+        name: derivative.name,
+        format: derivative.format,
+        url: storage.getPublicUrl(derivative.fileName),
+        width: derivative.width,
+        height: derivative.height
+      }))
+    };
+  });
+};
+
+// Every stored URL belonging to a media item: the original plus derivatives
+const getMediaItemUrls = (mediaItem) => {
+  if (mediaItem.type !== 'photo') return [];
+  return [mediaItem.content, ...(mediaItem.derivatives || []).map(d => d.url)];
+};
+
+// Whether any media item still points at a stored file, as its original or
+// a derivative
+const isStoredFileInUse = async (storage, key) => {
+  const url = storage.getPublicUrl(key);
+  return Boolean(await MediaItem.exists({ $or: [{ content: url }, { 'derivatives.url': url }] }));
+};
+
+const NOT_UPLOADED = 'Photos must be uploaded through /api/media/upload before they are added';
+
+/**
+ * Check that a photo stored by POST /api/media/upload can be claimed for a
+ * new media item. URLs outside the configured storage (external links) need
+ * no claim. Resolves to { url, upload } with the stored file's canonical URL
+ * and its Upload record (null for external links), or { error } unless
+ * userId uploaded the file and no media item has claimed it yet.
+ *
+ * Nothing is used up here: call finishUploadClaim once the media item is
+ * saved, so a failed save leaves the photo claimable.
+ */
+const claimUploadedPhoto = async (url, userId) => {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+  if (!key) return { url, upload: null };
+
+  if (await isStoredFileInUse(storage, key)) return { error: NOT_UPLOADED };
+
+  const upload = await Upload.findOne({ key, userId });
+  if (!upload) return { error: NOT_UPLOADED };
+
+  return { url: storage.getPublicUrl(key), upload };
+};
+
+/**
+ * Use up a claim from claimUploadedPhoto after its media item was saved.
+ * Resolves to { error } if another request claimed the photo first; the
+ * caller should then remove its media item, but not the files.
+ */
+const finishUploadClaim = async ({ upload }) => {
+  if (!upload) return {};
+
+  const { deletedCount } = await Upload.deleteOne({ _id: upload._id });
+  return deletedCount === 1 ? {} : { error: NOT_UPLOADED };
+};
+
+/**
+ * Delete stored files by URL. URLs that don't belong to the configured
+ * backend (external links, other backends) are skipped, as are files some
+ * media item still points at, so delete the media items first.
+ */
+const deleteStoredFiles = async (urls) => {
+  const storage = getStorage();
+
+  for (const url of urls) {
+    const key = storage.keyFromUrl(url);
+    if (key && !(await isStoredFileInUse(storage, key))) {
+      await storage.deleteFile(key);
+    }
+  }
+};
+
+module.exports = {
+  storeUploadedPhoto,
+  refreshStoredPhoto,
+  claimUploadedPhoto,
+  finishUploadClaim,
+  getMediaItemUrls,
+  deleteStoredFiles
+};
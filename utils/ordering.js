@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { isTransactionUnsupported, runInTransaction } = require('./bulkMedia');
+
+// Bulk reordering for documents with a sortOrder field
+
+/**
+ * Check that ids is a complete ordering of existingIds: every id valid,
+ * none repeated, none missing and none from elsewhere. Returns an error
+ * message, or null if the ordering can be applied.
+ */
+const validateOrder = (ids, existingIds, itemName = 'item') => {
+  if (!Array.isArray(ids)) {
+    return `Please provide an array of ${itemName} IDs`;
+  }
+
+  const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+  if (invalid.length > 0) {
+    return `Invalid ${itemName} IDs: ${invalid.join(', ')}`;
+  }
+
+  const requested = ids.map(String);
+  if (new Set(requested).size !== requested.length) {
+    return `Each ${itemName} may only appear once`;
+  }
+
+  const existing = new Set(existingIds.map(String));
+  const unknown = requested.filter(id => !existing.has(id));
+  if (unknown.length > 0) {
+    return `Not found here: ${unknown.join(', ')}`;
+  }
+
+  if (requested.length !== existing.size) {
+    return `The order must list all ${existing.size} ${itemName}s, not ${requested.length}`;
+  }
+
+  return null;
+};
+
+/**
+ * Write sortOrder 0..n-1 following ids in one bulk write. scope is added to
+ * every filter so only documents from the expected parent are touched.
+ * Resolves to the number of documents whose order changed.
+ */
+const applyOrder = async (Model, ids, scope, session = null) => {
+  if (ids.length === 0) return 0;
+
+  const result = await Model.bulkWrite(ids.map((id, index) => ({
+    updateOne: {
+      filter: { _id: id, ...scope },
+      update: { $set: { sortOrder: index } }
+    }
+  })), { ordered: false, session });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Check ids against the documents in scope and write the new order, in one
+ * transaction so items added or removed meanwhile can't leave it half
+ * applied. Without transactions (a standalone MongoDB) the documents are
+ * counted again after writing, and if that changed the previous order is
+ * put back before reporting the conflict, so a 409 never leaves part of
+ * the new order saved.
+ *
+ * Resolves to { updated } or { error: { status, message } }.
+ */
+const reorderDocuments = async (Model, ids, scope, itemName) => {
+  const checkAndApply = async (session) => {
+    const existing = await Model.find(scope).select('_id sortOrder').session(session);
+    const orderError = validateOrder(ids, existing.map(doc => doc._id), itemName);
+    if (orderError) {
+      return { error: { status: 400, message: orderError } };
+    }
+    return { existing, updated: await applyOrder(Model, ids, scope, session) };
+  };
+
+  try {
+    const { existing, ...result } = await runInTransaction(checkAndApply);
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+  }
+
+  const { existing, ...result } = await checkAndApply(null);
+  if (result.error) return result;
+
+  if (await Model.countDocuments(scope) !== ids.length) {
+    await Model.bulkWrite(existing.map(doc => ({
+      updateOne: {
+        filter: { _id: doc._id, ...scope },
+        update: { $set: { sortOrder: doc.sortOrder } }
+      }
+    })), { ordered: false });
+    return { error: { status: 409, message: `The ${itemName}s changed while reordering; reload and try again` } };
+  }
+  return result;
+};
+
+module.exports = {
+  validateOrder,
+  applyOrder,
+  reorderDocuments
+};
@@ -0,0 +1,97 @@
+const { haversineDistance } = require('./geo');
+
+// Matching of photo capture data to the segment or stay it was taken during
+
+// Photos further than this from every candidate aren't placed by location alone
+const MAX_DISTANCE_KM = 50;
+
+// Candidates this close to each other are treated as the same place, e.g. a
+// hotel and the shuttle that drops you at it; the date ranking decides then
+const SAME_PLACE_KM = 1;
+
+// Stored dates are UTC midnight, so the ISO date is the calendar day
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const buildCandidates = (trip, captureDay, coordinates) => {
+  const candidates = [];
+
+  trip.segments.forEach(segment => {
+    candidates.push({
+      itemType: 'segment',
+      item: segment,
+      // Ranked after stays you sleep at, but before stays you're checking out of
+      dateRank: captureDay && toDay(segment.date) === captureDay ? 2 : null,
+      distance: coordinates
+        ? Math.min(
+          haversineDistance(coordinates, segment.origin.coordinates),
+          haversineDistance(coordinates, segment.destination.coordinates)
+        )
+        : null
+    });
+  });
+
+  trip.stays.forEach(stay => {
+    const start = toDay(stay.dateStart);
+    const end = toDay(stay.dateEnd);
+    let dateRank = null;
+
+    if (captureDay && start <= captureDay && captureDay < end) {
+      dateRank = 1;
+    } else if (captureDay && captureDay === end) {
+      dateRank = 3;
+    }
+
+    candidates.push({
+      itemType: 'stay',
+      item: stay,
+      dateRank,
+      distance: coordinates ? haversineDistance(coordinates, stay.coordinates) : null
+    });
+  });
+
+  return candidates;
+};
+
+/**
+ * Find the segment or stay a photo most likely belongs to.
+ *
+ * Candidates on the capture day are preferred; among those, GPS picks the
+ * nearest. Without a date match, GPS alone places the photo if it's within
+ * MAX_DISTANCE_KM of a stay or segment endpoint. Without GPS, stays covering
+ * that night win over that day's segments.
+ *
+ * Resolves to { itemType, item } or null if nothing matches.
+ */
+const findMatchingItem = (trip, { captureDay, coordinates }) => {
+  const candidates = buildCandidates(trip, captureDay, coordinates);
+  const dateMatches = candidates.filter(candidate => candidate.dateRank !== null);
+
+  let match = null;
+
+  if (coordinates) {
+    const pool = dateMatches.length > 0
+      ? dateMatches
+      : candidates.filter(candidate => candidate.distance <= MAX_DISTANCE_KM);
+
+    match = pool.reduce((best, candidate) => {
+      if (!best || candidate.distance < best.distance - SAME_PLACE_KM) return candidate;
+      if (candidate.distance > best.distance + SAME_PLACE_KM) return best;
+
+      const candidateRank = candidate.dateRank || Infinity;
+      const bestRank = best.dateRank || Infinity;
+      if (candidateRank !== bestRank) return candidateRank < bestRank ? candidate : best;
+      return candidate.distance < best.distance ? candidate : best;
+    }, null);
+  } else if (dateMatches.length > 0) {
+    match = dateMatches.reduce((best, candidate) => (
+      !best || candidate.dateRank < best.dateRank ? candidate : best
+    ), null);
+  }
+
+  return match ? { itemType: match.itemType, item: match.item } : null;
+};
+
+module.exports = {
+  MAX_DISTANCE_KM,
+  findMatchingItem
+};
@@ -0,0 +1,274 @@
+const Trip = require('../models/Trip');
+const Album = require('../models/Album');
+const MediaItem = require('../models/MediaItem');
+const { getItemName } = require('./defaultAlbums');
+const { resolveUrl } = require('../storage');
+
+// Search across trips, their segments and stays, albums, notes and photo
+// captions. MongoDB text indexes find candidate documents; hits are then
+// scored here so results from different collections rank on one scale.
+
+const SEARCH_TYPES = ['trip', 'segment', 'stay', 'album', 'note', 'photo'];
+const SNIPPET_RADIUS = 60;
+
+// Ranking weight per matched field
+const FIELD_WEIGHTS = {
+  tripName: 3,
+  albumName: 3,
+  location: 2,
+  transport: 2,
+  origin: 2,
+  destination: 2,
+  caption: 2,
+  description: 1,
+  notes: 1,
+  content: 1
+};
+
+const getTerms = (query) => [...new Set((query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(term => term.length > 1))];
+
+// Score the fields of one hit: each matched term counts its field's weight,
+// the whole query appearing verbatim counts double, and hits matching every
+// term rank above those matching some
+const scoreFields = (fields, terms, phrase) => {
+  let score = 0;
+  let bestField = null;
+  let bestFieldScore = 0;
+  const matchedTerms = new Set();
+
+  Object.entries(fields).forEach(([field, text]) => {
+    if (!text) return;
+    const lower = String(text).toLowerCase();
+    const weight = FIELD_WEIGHTS[field] || 1;
+
+    let fieldScore = 0;
+    terms.forEach(term => {
+      if (lower.includes(term)) {
+        fieldScore += weight;
+        matchedTerms.add(term);
+      }
+    });
+    if (phrase && lower.includes(phrase)) {
+      fieldScore += weight * 2;
+    }
+
+    score += fieldScore;
+    if (fieldScore > bestFieldScore) {
+      bestField = field;
+      bestFieldScore = fieldScore;
+    }
+  });
+
+  if (score === 0) return null;
+
+  const coverage = matchedTerms.size / terms.length;
+  return {
+    score: Math.round(score * (1 + coverage) * 100) / 100,
+    field: bestField,
+    snippet: makeSnippet(String(fields[bestField]), terms)
+  };
+};
+
+// Text around the first matched term, trimmed to whole words
+const makeSnippet = (text, terms) => {
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  if (text.length <= SNIPPET_RADIUS * 2) return text;
+
+  let start = Math.max(0, first - SNIPPET_RADIUS);
+  let end = Math.min(text.length, first + SNIPPET_RADIUS);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first) end = space;
+  }
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+const tripContext = (trip) => ({
+  _id: trip._id,
+  tripName: trip.tripName,
+  dateRange: trip.dateRange
+});
+
+const relatedItemContext = (trip, relatedItem) => {
+  if (!relatedItem || relatedItem.type === 'trip' || !relatedItem.itemId) {
+    return { type: 'trip' };
+  }
+  const items = relatedItem.type === 'segment' ? trip.segments : trip.stays;
+  const item = items.find(candidate => candidate._id.equals(relatedItem.itemId));
+
+  return {
+    type: relatedItem.type,
+    itemId: relatedItem.itemId,
+    label: item ? getItemName(relatedItem.type, item) : undefined
+  };
+};
+
+const findTextMatches = (Model, filter, query, limit, select) => Model
+  .find({ ...filter, $text: { $search: query } }, { score: { $meta: 'textScore' } })
+  .select(select)
+  .sort({ score: { $meta: 'textScore' } })
+  .limit(limit)
+  .lean();
+
+/**
+ * Search everything in the given trips. Resolves to hits sorted by score,
+ * each with a type, score, the matched field, a snippet and the trip, album
+ * and segment or stay it belongs to.
+ *
+ * Options:
+ *   types - hit types to include (default: all of SEARCH_TYPES)
+ *   limit - maximum number of hits
+ */
+const search = async (query, tripIds, { types = SEARCH_TYPES, limit = 20 } = {}) => {
+  const terms = getTerms(query);
+  if (terms.length === 0 || tripIds.length === 0) return [];
+
+  const phrase = terms.length > 1 ? query.trim().toLowerCase() : null;
+  const wanted = new Set(types);
+  const hits = [];
+
+  // Trips are loaded for every search; they give albums and media their context
+  const candidateLimit = limit * 5;
+  const [matchedTrips, accessibleTrips] = await Promise.all([
+    wanted.has('trip') || wanted.has('segment') || wanted.has('stay')
+      ? findTextMatches(Trip, { _id: { $in: tripIds } }, query, candidateLimit,
+        'tripName description dateRange segments stays')
+      : [],
+    Trip.find({ _id: { $in: tripIds } })
+      .select('tripName dateRange segments._id segments.transport segments.origin.name segments.destination.name stays._id stays.location')
+      .lean()
+  ]);
+  const tripById = new Map(accessibleTrips.map(trip => [trip._id.toString(), trip]));
+
+  // Trips, segments and stays
+  matchedTrips.forEach(trip => {
+    if (wanted.has('trip')) {
+      const match = scoreFields({ tripName: trip.tripName, description: trip.description }, terms, phrase);
+      if (match) hits.push({ type: 'trip', ...match, trip: tripContext(trip) });
+    }
+
+    if (wanted.has('segment')) {
+      trip.segments.forEach(segment => {
+        const match = scoreFields({
+          transport: segment.transport,
+          origin: segment.origin && segment.origin.name,
+          destination: segment.destination && segment.destination.name,
+          notes: segment.notes
+        }, terms, phrase);
+
+        if (match) {
+          hits.push({
+            type: 'segment',
+            ...match,
+            trip: tripContext(trip),
+            relatedItem: relatedItemContext(trip, { type: 'segment', itemId: segment._id }),
+            date: segment.date
+          });
+        }
+      });
+    }
+
+    if (wanted.has('stay')) {
+      trip.stays.forEach(stay => {
+        const match = scoreFields({ location: stay.location, notes: stay.notes }, terms, phrase);
+
+        if (match) {
+          hits.push({
+            type: 'stay',
+            ...match,
+            trip: tripContext(trip),
+            relatedItem: relatedItemContext(trip, { type: 'stay', itemId: stay._id }),
+            dateStart: stay.dateStart,
+            dateEnd: stay.dateEnd
+          });
+        }
+      });
+    }
+  });
+
+  // Albums
+  const albums = await Album.find({ tripId: { $in: tripIds } })
+    .select('name description tripId relatedItem')
+    .lean();
+  const albumById = new Map(albums.map(album => [album._id.toString(), album]));
+
+  const albumContext = (album) => ({ _id: album._id, name: album.name });
+
+  if (wanted.has('album')) {
+    const matchedAlbums = await findTextMatches(Album, { tripId: { $in: tripIds } }, query, candidateLimit,
+      'name description tripId relatedItem');
+
+    matchedAlbums.forEach(album => {
+      const trip = tripById.get(album.tripId.toString());
+      const match = scoreFields({ albumName: album.name, description: album.description }, terms, phrase);
+      if (!trip || !match) return;
+
+      hits.push({
+        type: 'album',
+        ...match,
+        trip: tripContext(trip),
+        album: albumContext(album),
+        relatedItem: relatedItemContext(trip, album.relatedItem)
+      });
+    });
+  }
+
+  // Notes and photo captions
+  const mediaTypes = ['note', 'photo'].filter(type => wanted.has(type));
+  if (mediaTypes.length > 0 && albums.length > 0) {
+    const matchedMedia = await findTextMatches(MediaItem, {
+      albumId: { $in: albums.map(album => album._id) },
+      type: { $in: mediaTypes }
+    }, query, candidateLimit, 'albumId type content caption takenAt derivatives');
+
+    matchedMedia.forEach(mediaItem => {
+      const album = albumById.get(mediaItem.albumId.toString());
+      const trip = album && tripById.get(album.tripId.toString());
+      if (!trip) return;
+
+      // A photo's content is its URL, which isn't searchable text
+      const fields = mediaItem.type === 'note'
+        ? { content: mediaItem.content, caption: mediaItem.caption }
+        : { caption: mediaItem.caption };
+      const match = scoreFields(fields, terms, phrase);
+      if (!match) return;
+
+      const thumbnail = (mediaItem.derivatives || []).find(d => d.name === 'thumbnail' && d.format === 'jpeg');
+
+      hits.push({
+        type: mediaItem.type,
+        ...match,
+        trip: tripContext(trip),
+        album: albumContext(album),
+        relatedItem: relatedItemContext(trip, album.relatedItem),
+        mediaItem: {
+          _id: mediaItem._id,
+          type: mediaItem.type,
+          caption: mediaItem.caption,
+          takenAt: mediaItem.takenAt,
+          url: mediaItem.type === 'photo'
+            ? resolveUrl(thumbnail ? thumbnail.url : mediaItem.content)
+            : undefined
+        }
+      });
+    });
+  }
+
+  return hits
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  search
+};
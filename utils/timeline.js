@@ -0,0 +1,157 @@
+const { resolveUrl } = require('../storage');
+const { localDay } = require('./timezone');
+
+// Day-by-day itinerary: each calendar day's segments, where you sleep that
+// night, and media from the segment and stay albums
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_PREVIEW_SIZE = 4;
+
+// Stored dates are UTC midnight, so the ISO date is the calendar day
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const itemKey = (itemType, itemId) => `${itemType}:${itemId}`;
+
+/**
+ * Build one timeline entry per day from the trip's startDate to its endDate.
+ *
+ * albums are the trip's segment and stay albums; mediaItems are the media in
+ * those albums. Segment media is shown on the segment's day. Stay media is
+ * shown on the day it was taken, or on check-in day when the capture time is
+ * unknown or falls outside the stay.
+ */
+const buildTripTimeline = (trip, albums = [], mediaItems = [], { previewSize = DEFAULT_PREVIEW_SIZE } = {}) => {
+  if (!trip.startDate || !trip.endDate) {
+    return { tripId: trip._id, tripName: trip.tripName, days: [] };
+  }
+
+  const days = [];
+  const dayByDate = new Map();
+  for (let time = new Date(trip.startDate).getTime(); time <= new Date(trip.endDate).getTime(); time += MS_PER_DAY) {
+    const day = {
+      date: toDay(time),
+      dayNumber: days.length + 1,
+      segments: [],
+      stay: null,
+      checkOut: null,
+      albums: [],
+      photoCount: 0,
+      noteCount: 0,
+      preview: []
+    };
+    days.push(day);
+    dayByDate.set(day.date, day);
+  }
+
+  // Segments in date order, then by departure time where known, then as listed
+  const departure = (segment) => segment.departureTime ? new Date(segment.departureTime).getTime() : Infinity;
+  const segmentDays = new Map();
+  trip.segments
+    .map((segment, index) => ({ segment, index }))
+    .sort((a, b) =>
+      new Date(a.segment.date) - new Date(b.segment.date) ||
+      departure(a.segment) - departure(b.segment) ||
+      a.index - b.index)
+    .forEach(({ segment }) => {
+      const date = toDay(segment.date);
+      segmentDays.set(segment._id.toString(), { date, dates: [date] });
+
+      const day = dayByDate.get(date);
+      if (day) day.segments.push(segment);
+    });
+
+  // The stay covers each night from check-in up to, not including, check-out
+  const stayDays = new Map();
+  trip.stays.forEach(stay => {
+    const start = new Date(stay.dateStart).getTime();
+    const end = new Date(stay.dateEnd).getTime();
+    const dates = [];
+
+    for (let time = start; time < end; time += MS_PER_DAY) {
+      const day = dayByDate.get(toDay(time));
+      if (day) day.stay = stay;
+      dates.push(toDay(time));
+    }
+    stayDays.set(stay._id.toString(), { date: toDay(start), dates, timeZone: stay.timeZone });
+
+    const checkOutDay = dayByDate.get(toDay(end));
+    if (checkOutDay && end > start) checkOutDay.checkOut = stay;
+  });
+
+  // Place each album's media on a day
+  const albumById = new Map(albums.map(album => [album._id.toString(), album]));
+  const itemDays = new Map();
+  segmentDays.forEach((value, id) => itemDays.set(itemKey('segment', id), value));
+  stayDays.forEach((value, id) => itemDays.set(itemKey('stay', id), value));
+
+  const dayAlbums = new Map();
+  const sortedMedia = [...mediaItems].sort((a, b) =>
+    (a.takenAt ? new Date(a.takenAt) : Infinity) - (b.takenAt ? new Date(b.takenAt) : Infinity) ||
+    a.sortOrder - b.sortOrder);
+
+  sortedMedia.forEach(mediaItem => {
+    const album = albumById.get(mediaItem.albumId.toString());
+    if (!album || !album.relatedItem.itemId) return;
+
+    const { type, itemId } = album.relatedItem;
+    const placement = itemDays.get(itemKey(type, itemId));
+    if (!placement) return;
+
+    // Capture times are instants, so read their day in the stay's zone when known
+    let date = placement.date;
+    if (type === 'stay' && mediaItem.takenAt) {
+      const takenDay = placement.timeZone
+        ? localDay(mediaItem.takenAt, placement.timeZone)
+        : toDay(mediaItem.takenAt);
+      if (placement.dates.includes(takenDay)) date = takenDay;
+    }
+
+    const day = dayByDate.get(date);
+    if (!day) return;
+
+    const albumKey = `${date}:${album._id}`;
+    let albumSummary = dayAlbums.get(albumKey);
+    if (!albumSummary) {
+      albumSummary = {
+        _id: album._id,
+        name: album.name,
+        itemType: type,
+        itemId,
+        photoCount: 0,
+        noteCount: 0
+      };
+      dayAlbums.set(albumKey, albumSummary);
+      day.albums.push(albumSummary);
+    }
+
+    if (mediaItem.type === 'photo') {
+      albumSummary.photoCount++;
+      day.photoCount++;
+
+      if (day.preview.length < previewSize) {
+        day.preview.push({
+          _id: mediaItem._id,
+          albumId: mediaItem.albumId,
+          url: resolveUrl(mediaItem.getDerivativeUrl('thumbnail')),
+          caption: mediaItem.caption,
+          takenAt: mediaItem.takenAt
+        });
+      }
+    } else {
+      albumSummary.noteCount++;
+      day.noteCount++;
+    }
+  });
+
+  return {
+    tripId: trip._id,
+    tripName: trip.tripName,
+    startDate: trip.startDate,
+    endDate: trip.endDate,
+    days
+  };
+};
+
+module.exports = {
+  buildTripTimeline
+};
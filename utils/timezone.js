@@ -0,0 +1,78 @@
+// IANA time zone helpers. Calendar days are stored as UTC midnight of the
+// local date, so a day means the same thing wherever the server runs.
+
+/**
+ * Check that a string is an IANA time zone name the runtime knows, e.g. "Asia/Tokyo"
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The local calendar date of an instant in a time zone, as YYYY-MM-DD
+ */
+const localDay = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(date));
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+/**
+ * The local calendar date of an instant in a time zone, as a UTC midnight Date
+ */
+const localDayAsDate = (date, timeZone) => new Date(`${localDay(date, timeZone)}T00:00:00.000Z`);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getTimeZoneOffset = (time, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(time));
+
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wallClock - (time - new Date(time).getUTCMilliseconds());
+};
+
+/**
+ * Move an instant by whole days, keeping its local time of day in a time
+ * zone across daylight saving changes. Without a valid time zone the
+ * instant moves by exactly days * 24 hours.
+ */
+const shiftByDays = (date, days, timeZone) => {
+  const time = new Date(date).getTime();
+  if (!isValidTimeZone(timeZone)) return new Date(time + days * DAY_MS);
+
+  const wallClock = time + getTimeZoneOffset(time, timeZone) + days * DAY_MS;
+  // The offset on the new day may differ; correct for it once
+  const estimate = wallClock - getTimeZoneOffset(time, timeZone);
+  return new Date(wallClock - getTimeZoneOffset(estimate, timeZone));
+};
+
+module.exports = {
+  isValidTimeZone,
+  localDay,
+  localDayAsDate,
+  shiftByDays
+};
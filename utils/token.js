@@ -0,0 +1,23 @@
+const jwt = require('jsonwebtoken');
+
+// Signed access tokens for authenticated users
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const generateToken = (userId) => jwt.sign(
+  { id: userId.toString() },
+  getSecret(),
+  { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
+);
+
+const verifyToken = (token) => jwt.verify(token, getSecret());
+
+module.exports = {
+  generateToken,
+  verifyToken
+};
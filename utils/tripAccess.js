@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const Trip = require('../models/Trip');
+const Album = require('../models/Album');
+const MediaItem = require('../models/MediaItem');
+
+// Access checks shared by the trip, album and media routes.
+//
+// Roles, from least to most privileged:
+//   viewer      - read the trip, its albums and media (also granted by share links)
+//   contributor - add media to albums
+//   editor      - create, edit and delete albums and media
+//   owner       - everything, including editing the trip and managing sharing
+//
+// The find helpers resolve to either the requested documents plus the caller's
+// role, or { error: { status, message } }. Requests with no access at all get a
+// 404 so other users' data isn't leaked; insufficient roles get a 403. Share
+// tokens only count on routes using allowShareToken, so a share-token request
+// anywhere else has no user to check and gets a 401.
+
+const ROLE_LEVELS = {
+  viewer: 1,
+  contributor: 2,
+  editor: 3,
+  owner: 4
+};
+
+const FORBIDDEN = { status: 403, message: 'You do not have permission to perform this action' };
+const SIGN_IN_REQUIRED = { status: 401, message: 'Not authorized, sign in required' };
+
+const hashShareToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hasRole = (role, requiredRole) => Boolean(role) && ROLE_LEVELS[role] >= ROLE_LEVELS[requiredRole];
+
+// Role the request holds on a trip, or null
+const getTripRole = (trip, req) => {
+  if (req.user) {
+    if (trip.ownerId && trip.ownerId.equals(req.user._id)) {
+      return 'owner';
+    }
+
+    const collaborator = trip.collaborators.find(c => c.userId.equals(req.user._id));
+    if (collaborator) {
+      return collaborator.role;
+    }
+  }
+
+  if (req.shareToken) {
+    const tokenHash = hashShareToken(req.shareToken);
+    const shareLink = trip.shareLinks.find(link => link.tokenHash === tokenHash);
+    if (shareLink && shareLink.isActive()) {
+      return 'viewer';
+    }
+  }
+
+  return null;
+};
+
+const checkRole = (trip, req, requiredRole, notFoundMessage) => {
+  if (!req.user && !req.shareToken) {
+    return { error: SIGN_IN_REQUIRED };
+  }
+
+  const role = trip ? getTripRole(trip, req) : null;
+
+  if (!role) {
+    return { error: { status: 404, message: notFoundMessage } };
+  }
+  if (!hasRole(role, requiredRole)) {
+    return { error: FORBIDDEN };
+  }
+  return { role };
+};
+
+const findTripWithAccess = async (tripId, req, requiredRole = 'owner') => {
+  const trip = await Trip.findById(tripId);
+
+  const { role, error } = checkRole(trip, req, requiredRole, 'Trip not found');
+  if (error) return { error };
+
+  return { trip, role };
+};
+
+const findAlbumWithAccess = async (albumId, req, requiredRole = 'owner') => {
+  const album = await Album.findById(albumId);
+  const trip = album ? await Trip.findById(album.tripId) : null;
+
+  const { role, error } = checkRole(trip, req, requiredRole, 'Album not found');
+  if (error) return { error };
+
+  return { album, trip, role };
+};
+
+const findMediaItemWithAccess = async (mediaItemId, req, requiredRole = 'owner') => {
+  const mediaItem = await MediaItem.findById(mediaItemId);
+  if (!mediaItem) {
+    return { error: { status: 404, message: 'Media item not found' } };
+  }
+
+  const { album, trip, role, error } = await findAlbumWithAccess(mediaItem.albumId, req, requiredRole);
+  if (error) {
+    return { error: error.status === 404 ? { status: 404, message: 'Media item not found' } : error };
+  }
+
+  return { mediaItem, album, trip, role };
+};
+
+// IDs of every trip the user owns or collaborates on, for scoping list queries
+const getAccessibleTripIds = async (user) => {
+  const trips = await Trip.find({
+    $or: [
+      { ownerId: user._id },
+      { 'collaborators.userId': user._id }
+    ]
+  }).select('_id');
+  return trips.map(trip => trip._id);
+};
+
+module.exports = {
+  ROLE_LEVELS,
+  hashShareToken,
+  hasRole,
+  getTripRole,
+  findTripWithAccess,
+  findAlbumWithAccess,
+  findMediaItemWithAccess,
+  getAccessibleTripIds
+};
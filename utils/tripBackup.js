@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const Album = require('../models/Album');
+const MediaItem = require('../models/MediaItem');
+const Expense = require('../models/Expense');
+const { getStorage, getTempPath } = require('../storage');
+const { getMediaItemUrls } = require('./mediaFiles');
+const { createZipArchive, readZipArchive } = require('./zipArchive');
+
+// Self-contained trip backups, for moving a trip between databases such as
+// staging and production:
+//
+//   backup.json   the trip with its albums, media items and expenses
+//   files/<key>   every stored file those documents reference
+//
+// Restoring creates a new trip owned by the restoring user. Every document
+// and segment/stay gets a fresh ObjectId with references rewritten to match,
+// and files are copied into this server's storage. Share links and
+// collaborators are left out since users differ between databases.
+
+const BACKUP_FORMAT = 'trip-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_DOCUMENT = 'backup.json';
+const FILES_PREFIX = 'files/';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic'
+};
+
+// Fields that belong to the database a document came from
+const toBackupObject = (doc) => {
+  const { __v, createdAt, updatedAt, ...data } = doc.toObject({ virtuals: false, flattenMaps: true });
+  return data;
+};
+
+/**
+ * Build a backup ZIP for a trip. Resolves to a yazl ZipFile; pipe its
+ * outputStream to the response. Files missing from storage are left out, so
+ * photos that point at them are skipped on restore.
+ */
+const createTripBackup = async (trip) => {
+  const storage = getStorage();
+
+  const albums = await Album.find({ tripId: trip._id }).sort({ _id: 1 });
+  const mediaItems = await MediaItem.find({ albumId: { $in: albums.map(album => album._id) } }).sort({ _id: 1 });
+  const expenses = await Expense.find({ tripId: trip._id }).sort({ _id: 1 });
+
+  const urls = new Set([trip.coverImage, ...mediaItems.flatMap(getMediaItemUrls)].filter(Boolean));
+  const files = [];
+  for (const url of urls) {
+    const key = storage.keyFromUrl(url);
+    if (key && await storage.exists(key)) {
+      files.push({ url, file: `${FILES_PREFIX}${key}`, key });
+    }
+  }
+
+  const { shareLinks, collaborators, ownerId, ...tripData } = toBackupObject(trip);
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date(),
+    trip: tripData,
+    albums: albums.map(toBackupObject),
+    mediaItems: mediaItems.map(toBackupObject),
+    expenses: expenses.map(toBackupObject),
+    files: files.map(({ url, file }) => ({ url, file }))
+  };
+
+  return createZipArchive([
+    { file: BACKUP_DOCUMENT, buffer: Buffer.from(JSON.stringify(backup)) },
+    ...files.map(({ file, key }) => ({ file, key }))
+  ]);
+};
+
+// Read and check backup.json. Resolves to { backup, fileNames } with the
+// names of every file in the archive, or to { error }.
+const readBackupDocument = async (zipPath) => {
+  let text = null;
+  const fileNames = new Set();
+  try {
+    await readZipArchive(zipPath, async (entry, openStream) => {
+      fileNames.add(entry.fileName);
+      if (entry.fileName !== BACKUP_DOCUMENT) return;
+
+      const chunks = [];
+      for await (const chunk of await openStream()) chunks.push(chunk);
+      text = Buffer.concat(chunks).toString('utf8');
+    });
+  } catch (zipError) {
+    return { error: `Backup is not a readable ZIP archive: ${zipError.message}` };
+  }
+
+  if (text === null) {
+    return { error: `Archive has no ${BACKUP_DOCUMENT}; is it a trip backup?` };
+  }
+
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (parseError) {
+    return { error: `${BACKUP_DOCUMENT} is not valid JSON` };
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    return { error: 'Archive is not a trip backup' };
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    return { error: `Unsupported backup version ${backup.version}; this server reads version ${BACKUP_VERSION}` };
+  }
+
+  const isObject = backup.trip && typeof backup.trip === 'object' && !Array.isArray(backup.trip);
+  const missing = ['albums', 'mediaItems', 'expenses', 'files'].filter(field => !Array.isArray(backup[field]));
+  if (!isObject || missing.length > 0) {
+    return { error: `Backup is incomplete: ${[...(isObject ? [] : ['trip']), ...missing].join(', ')}` };
+  }
+
+  return { backup, fileNames };
+};
+
+/**
+ * New ObjectIds for every document and subdocument in a backup. lookup()
+ * maps an old ID to its replacement, or undefined for IDs the backup doesn't
+ * contain, so references to documents that no longer existed are dropped.
+ */
+const createIdMap = (backup, tripId, mediaItems) => {
+  const ids = new Map([[String(backup.trip._id), tripId]]);
+  const add = (item) => {
+    if (item && item._id) ids.set(String(item._id), new mongoose.Types.ObjectId());
+  };
+
+  (backup.trip.segments || []).forEach(add);
+  (backup.trip.stays || []).forEach(add);
+  backup.albums.forEach(add);
+  mediaItems.forEach(add);
+  backup.expenses.forEach(add);
+
+  return (id) => (id ? ids.get(String(id)) : undefined);
+};
+
+/**
+ * Rewrite the IDs, owner and file URLs of a backup's documents. A URL in
+ * this server's storage is only kept if its file came with the backup, so
+ * a backup can't point restored media at files that belong to someone else:
+ * photos without their file are dropped, along with derivatives and a
+ * cover image in the same state.
+ */
+const rewriteBackup = (backup, tripId, ownerId, fileUrls) => {
+  const storage = getStorage();
+  const rewriteUrl = (url) => {
+    if (fileUrls.has(url)) return fileUrls.get(url);
+    return storage.keyFromUrl(url) ? null : url;
+  };
+
+  const keptMediaItems = backup.mediaItems.filter(mediaItem =>
+    mediaItem.type !== 'photo' || rewriteUrl(mediaItem.content));
+  const lookup = createIdMap(backup, tripId, keptMediaItems);
+  const rewriteItem = (item) => ({
+    ...item,
+    _id: lookup(item._id),
+    defaultAlbumId: lookup(item.defaultAlbumId)
+  });
+  const rewriteRelatedItem = (relatedItem) => relatedItem && {
+    ...relatedItem,
+    itemId: lookup(relatedItem.itemId)
+  };
+
+  const trip = {
+    ...backup.trip,
+    _id: tripId,
+    ownerId,
+    coverImage: (backup.trip.coverImage && rewriteUrl(backup.trip.coverImage)) || undefined,
+    defaultAlbumId: lookup(backup.trip.defaultAlbumId),
+    segments: (backup.trip.segments || []).map(rewriteItem),
+    stays: (backup.trip.stays || []).map(rewriteItem)
+  };
+
+  const albums = backup.albums.map(album => ({
+    ...album,
+    _id: lookup(album._id),
+    tripId,
+    relatedItem: rewriteRelatedItem(album.relatedItem),
+    coverImageId: lookup(album.coverImageId)
+  }));
+
+  const mediaItems = keptMediaItems.map(mediaItem => ({
+    ...mediaItem,
+    _id: lookup(mediaItem._id),
+    albumId: lookup(mediaItem.albumId),
+    ...(mediaItem.type === 'photo' && {
+      content: rewriteUrl(mediaItem.content),
+      derivatives: (mediaItem.derivatives || [])
+        .map(derivative => ({ ...derivative, url: rewriteUrl(derivative.url) }))
+        .filter(derivative => derivative.url)
+    })
+  }));
+
+  const expenses = backup.expenses.map(expense => ({
+    ...expense,
+    _id: lookup(expense._id),
+    tripId,
+    relatedItem: rewriteRelatedItem(expense.relatedItem),
+    createdBy: ownerId
+  }));
+
+  return {
+    trip,
+    albums,
+    mediaItems,
+    expenses,
+    skippedMediaItems: backup.mediaItems.length - keptMediaItems.length
+  };
+};
+
+/**
+ * Restore a trip backup ZIP on disk as a new trip owned by ownerId.
+ * Everything is validated before anything is written, and a failed restore
+ * removes whatever it had already stored.
+ *
+ * Resolves to { error } for archives that aren't usable backups, otherwise
+ * { trip, albums, mediaItems, expenses, files } with the counts restored and
+ * skippedMediaItems, the photos left out because their file was missing.
+ */
+const restoreTripBackup = async (zipPath, ownerId) => {
+  const { backup, fileNames, error } = await readBackupDocument(zipPath);
+  if (error) return { error };
+
+  const storage = getStorage();
+  const tripId = new mongoose.Types.ObjectId();
+
+  // Stored files get new keys so restoring twice never overwrites anything
+  const filesByEntry = new Map();
+  const fileUrls = new Map();
+  backup.files.forEach(({ url, file }) => {
+    if (typeof file !== 'string' || !file.startsWith(FILES_PREFIX) || !fileNames.has(file)) return;
+    const key = `${tripId}-${path.basename(file)}`;
+    filesByEntry.set(file, key);
+    fileUrls.set(url, storage.getPublicUrl(key));
+  });
+
+  const data = rewriteBackup(backup, tripId, ownerId, fileUrls);
+  const trip = new Trip(data.trip);
+  const albums = data.albums.map(album => new Album(album));
+  const mediaItems = data.mediaItems.map(mediaItem => new MediaItem(mediaItem));
+  const expenses = data.expenses.map(expense => new Expense(expense));
+
+  // Throws a ValidationError for the first invalid document
+  await Promise.all([trip, ...albums, ...mediaItems, ...expenses].map(doc => doc.validate()));
+
+  const storedKeys = [];
+  try {
+    await readZipArchive(zipPath, async (entry, openStream) => {
+      const key = filesByEntry.get(entry.fileName);
+      if (!key) return;
+
+      const tempPath = getTempPath(key);
+      try {
+        await pipeline(await openStream(), fs.createWriteStream(tempPath));
+        await storage.saveFile(key, tempPath, CONTENT_TYPES[path.extname(key).toLowerCase()]);
+        storedKeys.push(key);
+      } finally {
+        await fs.promises.rm(tempPath, { force: true });
+      }
+    });
+
+    await trip.save();
+    await Album.insertMany(albums);
+    await MediaItem.insertMany(mediaItems);
+    await Expense.insertMany(expenses);
+  } catch (restoreError) {
+    await Promise.all([
+      Trip.deleteOne({ _id: tripId }),
+      Album.deleteMany({ tripId }),
+      MediaItem.deleteMany({ _id: { $in: mediaItems.map(mediaItem => mediaItem._id) } }),
+      Expense.deleteMany({ tripId }),
+      ...storedKeys.map(key => storage.deleteFile(key))
+    ]);
+    throw restoreError;
+  }
+
+  return {
+    trip,
+    albums: albums.length,
+    mediaItems: mediaItems.length,
+    expenses: expenses.length,
+    files: storedKeys.length,
+    skippedMediaItems: data.skippedMediaItems
+  };
+};
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createTripBackup,
+  restoreTripBackup
+};
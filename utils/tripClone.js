@@ -0,0 +1,135 @@
+const Trip = require('../models/Trip');
+const Album = require('../models/Album');
+const { shiftByDays } = require('./timezone');
+const { stripItemFields } = require('./tripImport');
+
+// Copying a trip's itinerary into a new trip, e.g. to reuse a template.
+// Media, expenses and sharing stay with the original.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Plain copy of a segment or stay without the original's IDs
+const copyItem = (item) => stripItemFields(item.toObject({ virtuals: false }));
+
+const shiftDay = (date, days) => date && new Date(new Date(date).getTime() + days * MS_PER_DAY);
+
+/**
+ * Number of days to move a trip by: offsetDays as given, or the days from
+ * the trip's start to startDate. Returns { days } or { error }.
+ */
+const resolveDayOffset = (trip, { offsetDays, startDate } = {}) => {
+  if (offsetDays !== undefined && startDate !== undefined) {
+    return { error: 'Give either offsetDays or startDate, not both' };
+  }
+
+  if (offsetDays !== undefined) {
+    const days = Number(offsetDays);
+    if (!Number.isInteger(days)) {
+      return { error: 'offsetDays must be a whole number of days' };
+    }
+    return { days };
+  }
+
+  if (startDate !== undefined) {
+    const start = new Date(startDate);
+    if (isNaN(start.getTime())) {
+      return { error: 'startDate must be a date' };
+    }
+    if (!trip.startDate) {
+      return { error: 'This trip has no dates to move; use offsetDays instead' };
+    }
+
+    // Both are calendar days, so compare their UTC midnights
+    const target = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+    return { days: Math.round((target - trip.startDate.getTime()) / MS_PER_DAY) };
+  }
+
+  return { days: 0 };
+};
+
+/**
+ * Copy a trip's segments and stays into a new trip owned by ownerId, with
+ * every date moved by days. Times move in their own time zones so local
+ * departure and check-in times stay the same.
+ *
+ * Options:
+ *   tripName   - name of the copy (default "<name> (copy)")
+ *   isTemplate - mark the copy as a template
+ *   copyAlbums - recreate the trip's albums, without media, pointing at the
+ *                copied segments and stays
+ *
+ * Resolves to { trip, albums }.
+ */
+const createTripCopy = async (source, ownerId, days, { tripName, isTemplate = false, copyAlbums = false } = {}) => {
+  const trip = new Trip({
+    tripName: tripName || `${source.tripName} (copy)`,
+    description: source.description,
+    budget: source.budget ? source.budget.toObject() : undefined,
+    ownerId,
+    isTemplate,
+    segments: source.segments.map(segment => {
+      const copy = copyItem(segment);
+      copy.date = shiftDay(copy.date, days);
+      if (copy.departureTime) copy.departureTime = shiftByDays(copy.departureTime, days, copy.departureTimeZone);
+      if (copy.arrivalTime) copy.arrivalTime = shiftByDays(copy.arrivalTime, days, copy.arrivalTimeZone);
+      return copy;
+    }),
+    stays: source.stays.map(stay => {
+      const copy = copyItem(stay);
+      copy.dateStart = shiftDay(copy.dateStart, days);
+      copy.dateEnd = shiftDay(copy.dateEnd, days);
+      if (copy.checkIn) copy.checkIn = shiftByDays(copy.checkIn, days, copy.timeZone);
+      if (copy.checkOut) copy.checkOut = shiftByDays(copy.checkOut, days, copy.timeZone);
+      return copy;
+    })
+  });
+
+  let albums = [];
+  if (copyAlbums) {
+    // Copies keep their position, so each original maps to its copy by index
+    const copiedItems = new Map([
+      ...source.segments.map((segment, index) => [segment._id.toString(), trip.segments[index]]),
+      ...source.stays.map((stay, index) => [stay._id.toString(), trip.stays[index]])
+    ]);
+
+    const sourceAlbums = await Album.find({ tripId: source._id }).sort({ sortOrder: 1, _id: 1 });
+    sourceAlbums.forEach(album => {
+      const isItemAlbum = album.relatedItem.type !== 'trip';
+      const item = isItemAlbum ? copiedItems.get(String(album.relatedItem.itemId)) : null;
+      if (isItemAlbum && !item) return;
+
+      const copy = new Album({
+        name: album.name,
+        description: album.description,
+        tripId: trip._id,
+        relatedItem: item ? { type: album.relatedItem.type, itemId: item._id } : { type: 'trip' },
+        isDefault: album.isDefault,
+        sortOrder: album.sortOrder
+      });
+      albums.push(copy);
+
+      const sourceItem = isItemAlbum
+        ? source[`${album.relatedItem.type}s`].id(album.relatedItem.itemId)
+        : source;
+      if (sourceItem && sourceItem.defaultAlbumId && sourceItem.defaultAlbumId.equals(album._id)) {
+        (item || trip).defaultAlbumId = copy._id;
+      }
+    });
+  }
+
+  await trip.save();
+
+  try {
+    albums = albums.length > 0 ? await Album.insertMany(albums) : [];
+  } catch (error) {
+    await trip.deleteOne();
+    throw error;
+  }
+
+  return { trip, albums };
+};
+
+module.exports = {
+  resolveDayOffset,
+  createTripCopy
+};
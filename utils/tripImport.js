@@ -0,0 +1,282 @@
+const Trip = require('../models/Trip');
+const Album = require('../models/Album');
+const Expense = require('../models/Expense');
+const { createDefaultAlbums } = require('./defaultAlbums');
+
+// Top-level trip fields accepted from an import document
+const IMPORTABLE_FIELDS = ['tripName', 'description', 'coverImage', 'segments', 'stays'];
+
+// Subdocument fields that only make sense in the database they came from
+const STRIPPED_ITEM_FIELDS = ['_id', 'id', 'defaultAlbumId', 'albums'];
+
+const stripItemFields = (item) => {
+  if (!item || typeof item !== 'object') return item;
+
+  const cleaned = { ...item };
+  STRIPPED_ITEM_FIELDS.forEach(field => delete cleaned[field]);
+  return cleaned;
+};
+
+const dayKey = (date) => {
+  const day = date ? new Date(date) : null;
+  return day && !isNaN(day.getTime()) ? day.toISOString().slice(0, 10) : '';
+};
+
+// Ways to recognise an imported segment or stay as one the trip already has,
+// strictest first so repeated journeys pair up by date before anything looser
+const ITEM_MATCHERS = {
+  segments: {
+    type: 'segment',
+    keys: [
+      (segment) => [segment.type, segment.transport, segment.origin && segment.origin.name,
+        segment.destination && segment.destination.name, dayKey(segment.date)],
+      (segment) => [segment.type, segment.transport, segment.origin && segment.origin.name,
+        segment.destination && segment.destination.name]
+    ]
+  },
+  stays: {
+    type: 'stay',
+    keys: [
+      (stay) => [stay.location, dayKey(stay.dateStart)],
+      (stay) => [stay.location]
+    ]
+  }
+};
+
+/**
+ * Pair imported items with a trip's existing ones so an upsert keeps their
+ * _id and defaultAlbumId, and the albums and expenses that point at them.
+ * Returns { items, removed } where removed lists existing items nothing matched.
+ */
+const matchExistingItems = (existingItems, incomingItems, keys) => {
+  const unmatched = [...existingItems];
+  const matches = incomingItems.map(() => null);
+
+  keys.forEach(keyOf => {
+    incomingItems.forEach((item, index) => {
+      if (matches[index]) return;
+      const key = JSON.stringify(keyOf(item));
+      const position = unmatched.findIndex(existing => JSON.stringify(keyOf(existing)) === key);
+      if (position !== -1) {
+        [matches[index]] = unmatched.splice(position, 1);
+      }
+    });
+  });
+
+  return {
+    items: incomingItems.map((item, index) => (matches[index]
+      ? { ...item, _id: matches[index]._id, defaultAlbumId: matches[index].defaultAlbumId }
+      : item)),
+    removed: unmatched
+  };
+};
+
+/**
+ * Move the albums and expenses of segments and stays an upsert removed to the
+ * trip level, as deleting them one at a time does. With dryRun they are only
+ * counted. Resolves to { albums, expenses }.
+ */
+const reassignRemovedItems = async (tripId, removed, dryRun) => {
+  const counts = { albums: 0, expenses: 0 };
+
+  for (const [collection, items] of Object.entries(removed)) {
+    if (items.length === 0) continue;
+
+    const filter = {
+      tripId,
+      'relatedItem.type': ITEM_MATCHERS[collection].type,
+      'relatedItem.itemId': { $in: items.map(item => item._id) }
+    };
+
+    if (dryRun) {
+      counts.albums += await Album.countDocuments(filter);
+      counts.expenses += await Expense.countDocuments(filter);
+      continue;
+    }
+
+    // Trip-level albums have no item and are never an item's default
+    const albums = await Album.updateMany(filter, {
+      $set: { 'relatedItem.type': 'trip', isDefault: false, lastUpdated: new Date() },
+      $unset: { 'relatedItem.itemId': 1 }
+    });
+    const expenses = await Expense.updateMany(filter, {
+      $set: { 'relatedItem.type': 'trip' },
+      $unset: { 'relatedItem.itemId': 1 }
+    });
+    counts.albums += albums.modifiedCount;
+    counts.expenses += expenses.modifiedCount;
+  }
+
+  return counts;
+};
+
+/**
+ * Pick the importable fields out of a raw trip document
+ */
+const normalizeTripDocument = (data) => {
+  const tripData = {};
+
+  IMPORTABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) tripData[field] = data[field];
+  });
+
+  if (Array.isArray(tripData.segments)) {
+    tripData.segments = tripData.segments.map(stripItemFields);
+  }
+  if (Array.isArray(tripData.stays)) {
+    tripData.stays = tripData.stays.map(stripItemFields);
+  }
+
+  return tripData;
+};
+
+/**
+ * Validate a trip document against the Trip schema without saving it.
+ * Errors are grouped so the caller can report them per segment and per stay.
+ */
+const validateTripDocument = (data) => {
+  const report = {
+    valid: true,
+    errors: {
+      trip: [],
+      segments: [],
+      stays: []
+    }
+  };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    report.valid = false;
+    report.errors.trip.push({ path: '', message: 'Trip document must be a JSON object' });
+    return report;
+  }
+
+  ['segments', 'stays'].forEach(field => {
+    if (!Array.isArray(data[field])) {
+      report.errors.trip.push({ path: field, message: `${field} must be an array` });
+    }
+  });
+
+  const tripData = normalizeTripDocument(data);
+  const validationError = new Trip(tripData).validateSync();
+
+  if (validationError) {
+    const itemErrors = { segments: {}, stays: {} };
+
+    Object.entries(validationError.errors).forEach(([path, error]) => {
+      const match = path.match(/^(segments|stays)\.(\d+)(?:\.(.+))?$/);
+
+      if (!match) {
+        report.errors.trip.push({ path, message: error.message });
+        return;
+      }
+
+      const [, collection, index, field] = match;
+
+      // Mongoose also reports the failing subdocument itself; its fields are listed separately
+      if (!field && error.name === 'ValidationError') return;
+
+      if (!itemErrors[collection][index]) itemErrors[collection][index] = [];
+      itemErrors[collection][index].push({ path: field || '', message: error.message });
+    });
+
+    ['segments', 'stays'].forEach(collection => {
+      report.errors[collection] = Object.entries(itemErrors[collection])
+        .map(([index, errors]) => ({ index: Number(index), errors }))
+        .sort((a, b) => a.index - b.index);
+    });
+  }
+
+  report.valid = report.errors.trip.length === 0 &&
+    report.errors.segments.length === 0 &&
+    report.errors.stays.length === 0;
+
+  return report;
+};
+
+/**
+ * Import a trip document.
+ *
+ * Options:
+ *   dryRun       - validate and report what would happen without writing anything
+ *   upsert       - update the existing trip with the same tripName instead of failing.
+ *                  Segments and stays that match existing ones keep their IDs and
+ *                  albums; albums and expenses of the ones left out move to the
+ *                  trip level
+ *   createAlbums - create default albums for every segment and stay
+ *   ownerId      - user the trip belongs to; upserts only match this user's trips
+ *
+ * Resolves to { action, validation, trip, albums, reassigned } where action is
+ * one of 'invalid', 'conflict', 'create' or 'update', and reassigned counts the
+ * albums and expenses an update moved (or with dryRun, would move) to the trip.
+ * A dry run also gives albumsToCreate.
+ */
+const importTripDocument = async (data, options = {}) => {
+  const { dryRun = false, upsert = false, createAlbums = false, ownerId } = options;
+
+  const validation = validateTripDocument(data);
+  const noneReassigned = { albums: 0, expenses: 0 };
+  if (!validation.valid) {
+    return { action: 'invalid', validation, trip: null, albums: [], reassigned: noneReassigned };
+  }
+
+  const tripData = normalizeTripDocument(data);
+  const existingTrip = await Trip.findOne({ tripName: tripData.tripName, ownerId });
+
+  if (existingTrip && !upsert) {
+    return { action: 'conflict', validation, trip: existingTrip, albums: [], reassigned: noneReassigned };
+  }
+
+  const action = existingTrip ? 'update' : 'create';
+
+  const removed = { segments: [], stays: [] };
+  if (existingTrip) {
+    Object.entries(ITEM_MATCHERS).forEach(([collection, { keys }]) => {
+      const match = matchExistingItems(existingTrip[collection], tripData[collection], keys);
+      tripData[collection] = match.items;
+      removed[collection] = match.removed;
+    });
+  }
+
+  if (dryRun) {
+    const reassigned = existingTrip
+      ? await reassignRemovedItems(existingTrip._id, removed, true)
+      : noneReassigned;
+    const albumsToCreate = createAlbums
+      ? [...tripData.segments, ...tripData.stays].filter(item => !item.defaultAlbumId).length
+      : 0;
+    return { action, validation, trip: existingTrip, albums: [], reassigned, albumsToCreate };
+  }
+
+  let trip;
+  if (existingTrip) {
+    trip = existingTrip;
+    IMPORTABLE_FIELDS.forEach(field => {
+      if (tripData[field] !== undefined) trip[field] = tripData[field];
+    });
+  } else {
+    trip = new Trip({ ...tripData, ownerId });
+  }
+
+  await trip.save();
+
+  const reassigned = existingTrip
+    ? await reassignRemovedItems(trip._id, removed, false)
+    : noneReassigned;
+
+  let albums = [];
+  if (createAlbums) {
+    albums = await createDefaultAlbums(trip);
+    if (albums.length > 0) {
+      await trip.save();
+    }
+  }
+
+  return { action, validation, trip, albums, reassigned };
+};
+
+module.exports = {
+  stripItemFields,
+  normalizeTripDocument,
+  validateTripDocument,
+  importTripDocument
+};
@@ -0,0 +1,95 @@
+const { haversineDistance } = require('./geo');
+
+// Summary numbers for a trip: distances, nights, places and media counts
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const roundKm = (km) => Math.round(km * 10) / 10;
+
+const hasCoordinates = (point) =>
+  point && Array.isArray(point.coordinates) && point.coordinates.length === 2;
+
+/**
+ * Compute trip statistics. mediaCounts holds the number of photos, notes
+ * and albums across the trip's albums, which the caller queries.
+ */
+const buildTripStats = (trip, mediaCounts = {}) => {
+  // Distances per segment and totals by transport mode
+  const byType = {};
+  let totalDistanceKm = 0;
+  let longestLeg = null;
+
+  trip.segments.forEach(segment => {
+    if (!byType[segment.type]) {
+      byType[segment.type] = { count: 0, distanceKm: 0 };
+    }
+    byType[segment.type].count++;
+
+    // Segments with bad coordinates still count, they just add no distance
+    if (!hasCoordinates(segment.origin) || !hasCoordinates(segment.destination)) return;
+
+    const distanceKm = haversineDistance(segment.origin.coordinates, segment.destination.coordinates);
+    byType[segment.type].distanceKm += distanceKm;
+    totalDistanceKm += distanceKm;
+
+    if (!longestLeg || distanceKm > longestLeg.distanceKm) {
+      longestLeg = {
+        segmentId: segment._id,
+        type: segment.type,
+        transport: segment.transport,
+        date: segment.date,
+        origin: segment.origin.name,
+        destination: segment.destination.name,
+        distanceKm
+      };
+    }
+  });
+
+  Object.values(byType).forEach(totals => {
+    totals.distanceKm = roundKm(totals.distanceKm);
+  });
+  if (longestLeg) {
+    longestLeg.distanceKm = roundKm(longestLeg.distanceKm);
+  }
+
+  // Stay dates are whole days, so nights are the day difference
+  const nights = trip.stays.reduce((total, stay) => {
+    const days = Math.round((new Date(stay.dateEnd) - new Date(stay.dateStart)) / MS_PER_DAY);
+    return total + Math.max(days, 0);
+  }, 0);
+
+  // Places are matched by name, ignoring case and surrounding whitespace
+  const locations = new Set();
+  const addLocation = (name) => {
+    if (name) locations.add(name.trim().toLowerCase());
+  };
+  trip.segments.forEach(segment => {
+    addLocation(segment.origin && segment.origin.name);
+    addLocation(segment.destination && segment.destination.name);
+  });
+  trip.stays.forEach(stay => addLocation(stay.location));
+
+  return {
+    tripId: trip._id,
+    tripName: trip.tripName,
+    startDate: trip.startDate,
+    endDate: trip.endDate,
+    days: trip.startDate && trip.endDate
+      ? Math.round((trip.endDate - trip.startDate) / MS_PER_DAY) + 1
+      : 0,
+    segments: trip.segments.length,
+    stays: trip.stays.length,
+    nights,
+    locations: locations.size,
+    totalDistanceKm: roundKm(totalDistanceKm),
+    byType,
+    longestLeg,
+    albums: mediaCounts.albums || 0,
+    photos: mediaCounts.photos || 0,
+    notes: mediaCounts.notes || 0
+  };
+};
+
+module.exports = {
+  buildTripStats
+};
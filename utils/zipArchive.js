@@ -0,0 +1,68 @@
+const yazl = require('yazl');
+const yauzl = require('yauzl');
+const { getStorage } = require('../storage');
+
+// Writing and reading the ZIP archives used by album exports and trip backups
+
+const MAX_NAME_LENGTH = 80;
+
+// A caption or name as a file name: no path separators, reserved or control characters
+const toFileName = (text, fallback) => {
+  const name = String(text || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH)
+    .replace(/^\.+|\.+$/g, '')
+    .trim();
+  return name || fallback;
+};
+
+/**
+ * Build a ZIP from a list of entries and return the yazl ZipFile; pipe its
+ * outputStream to the response. Each entry is either
+ *
+ *   { file, buffer }        content held in memory, compressed
+ *   { file, key, mtime }    a stored file, opened only when it's written and
+ *                           stored without recompressing
+ */
+const createZipArchive = (entries) => {
+  const storage = getStorage();
+  const zipfile = new yazl.ZipFile();
+
+  entries.forEach(entry => {
+    if (entry.buffer) {
+      zipfile.addBuffer(entry.buffer, entry.file);
+      return;
+    }
+
+    zipfile.addReadStreamLazy(entry.file, { mtime: entry.mtime || new Date(), compress: false }, (callback) => {
+      storage.createReadStream(entry.key)
+        .then(stream => callback(null, stream))
+        .catch(callback);
+    });
+  });
+
+  zipfile.end();
+  return zipfile;
+};
+
+/**
+ * Read every file in a ZIP on disk, one at a time. onEntry(entry, openStream)
+ * is awaited for each file; openStream() resolves to its contents as a
+ * readable stream. Directory entries are skipped.
+ */
+const readZipArchive = async (zipPath, onEntry) => {
+  const zipfile = await yauzl.openPromise(zipPath);
+
+  for await (const entry of zipfile.eachEntry()) {
+    if (entry.fileName.endsWith('/')) continue;
+    await onEntry(entry, () => zipfile.openReadStreamPromise(entry));
+  }
+};
+
+module.exports = {
+  toFileName,
+  createZipArchive,
+  readZipArchive
+};